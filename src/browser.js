@@ -0,0 +1,655 @@
+/* global atob btoa crypto */
+
+'use strict'
+
+/**
+ * Browser Peer definition, built only on the WebSocket and WebCrypto globals so it runs in browsers as it is
+ * @author Nathaniel Thomas
+ * @module peer-node
+ */
+
+// Wire protocol spoken, see frame.js for the layout
+const PROTOCOL_VERSION = 2
+const FRAME_VERSION_OFFSET = 4
+const FRAME_FLAGS_OFFSET = 5
+const FRAME_COMMAND_OFFSET = 6
+const FRAME_COMMAND_LENGTH = 12
+const FRAME_LENGTH_OFFSET = 18
+const FRAME_CHECKSUM_OFFSET = 22
+const FRAME_CHECKSUM_LENGTH = 4
+const FRAME_DATA_OFFSET = FRAME_CHECKSUM_OFFSET + FRAME_CHECKSUM_LENGTH
+const FLAG_SIGNED = 0x01
+const FLAG_COMPRESSED = 0x02
+
+// Session and identity proofs, see index.js for how a Peer derives and uses them
+const SESSION_IV_LENGTH = 12
+const SESSION_INFO = 'peer-node session'
+const IDENTITY_LABEL = 'peer-node identity'
+const IDENTITY_SIGNATURE_LENGTH = 64
+const NETWORK_KEY_LABEL = 'peer-node network'
+
+const RESPONSE_OK = 0
+const RESPONSE_ERROR = 1
+
+// Protocol commands of full Peers and Nodes, a browser Peer takes no part in them and never hands them to listeners
+const IGNORED_COMMANDS = ['ACK', 'FLOOD', 'PONG', 'PUBLISH', 'RELIABLE', 'ROUTE', 'ROUTES', 'SUBSCRIBE',
+  'STREAM', 'STREAMDATA', 'STREAMEND', 'STREAMCREDIT', 'STREAMCANCEL']
+
+// Browser Peers always encrypt and answer requests, streams, compression and reliable delivery stay with Node.js
+const CAPABILITIES = ['encryption', 'requests']
+const USER_AGENT = 'peer-node-browser'
+
+const encoder = new TextEncoder()
+const decoder = new TextDecoder()
+
+function concat (...parts) {
+  const result = new Uint8Array(parts.reduce((length, part) => length + part.length, 0))
+  let offset = 0
+
+  for (const part of parts) {
+    result.set(part, offset)
+    offset += part.length
+  }
+
+  return result
+}
+
+function equal (a, b) {
+  if (a.length !== b.length) return false
+
+  let difference = 0
+
+  for (let i = 0; i < a.length; i++) {
+    difference |= a[i] ^ b[i]
+  }
+
+  return difference === 0
+}
+
+function toBytes (data) {
+  if (data === null || data === undefined) return new Uint8Array(0)
+  if (typeof data === 'string') return encoder.encode(data)
+  if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+
+  return new Uint8Array(data)
+}
+
+function toHex (bytes) {
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('')
+}
+
+function fromHex (hex) {
+  if (typeof hex !== 'string' || !/^([0-9a-f]{2})*$/i.test(hex)) {
+    throw new Error('Invalid hex string')
+  }
+
+  return Uint8Array.from(hex.match(/../g) || [], (byte) => parseInt(byte, 16))
+}
+
+// Keys travel as PEM encoded SPKI, byte for byte what Node.js exports, since both sides hash the exact strings
+function toPem (der) {
+  const base64 = btoa(String.fromCharCode(...new Uint8Array(der)))
+
+  return `-----BEGIN PUBLIC KEY-----\n${base64.match(/.{1,64}/g).join('\n')}\n-----END PUBLIC KEY-----\n`
+}
+
+function fromPem (pem) {
+  const base64 = String(pem).replace(/-----(BEGIN|END) PUBLIC KEY-----/g, '').replace(/\s+/g, '')
+
+  return Uint8Array.from(atob(base64), (character) => character.charCodeAt(0))
+}
+
+async function sha256 (data) {
+  return new Uint8Array(await crypto.subtle.digest('SHA-256', data))
+}
+
+function sessionNonce (sequence) {
+  const iv = new Uint8Array(SESSION_IV_LENGTH)
+
+  new DataView(iv.buffer).setBigUint64(SESSION_IV_LENGTH - 8, sequence)
+
+  return iv
+}
+
+/**
+ * Peer for browsers, connecting to a Node listening on a WebSocket Host such as 'ws://0.0.0.0:8080/peer'. It proves an
+ * Ed25519 identity, encrypts every frame like a Peer holding a keypair, sends messages and makes requests. Streams,
+ * compression, reliable delivery, frame signatures and checksums other than the default are left to Node.js Peers
+ * @class
+ * @memberof module:peer-node
+ */
+class BrowserPeer {
+  /**
+   * @constructor
+   * @param {String} url - WebSocket URL of the Node, such as 'wss://example.com/peer'
+   * @param {Object} [options={}] - Browser Peer options
+   * @param {Number} [options.header=0xA27CC1A2] - 10 digit number identifying header of each message
+   * @param {Number} [options.maxFrameSize=10485736] - Largest frame data accepted from the Node
+   * @param {String|Uint8Array} [options.networkKey] - Secret shared by the Nodes of a private network
+   * @param {CryptoKeyPair} [options.identity] - Ed25519 key pair to prove, generated when omitted. The public key must be extractable
+   * @param {String} [options.userAgent] - Software name and version announced to the Node
+   * @param {Function} [options.WebSocket=globalThis.WebSocket] - WebSocket implementation, for runtimes without a global one
+   * @returns {Object} BrowserPeer Instance
+   */
+  constructor (url, options = {}) {
+    this._url = url
+    this._header = options.header === undefined ? 0xA27CC1A2 : options.header
+    this._maxFrameSize = options.maxFrameSize || 10485736
+    this._networkKey = options.networkKey === undefined ? null : toBytes(options.networkKey)
+    this._identity = options.identity || null
+    this._userAgent = options.userAgent || USER_AGENT
+    this._WebSocket = options.WebSocket || globalThis.WebSocket
+
+    this._listeners = {}
+    this._state = null
+    this._socket = null
+    this._id = null
+    this._remoteHello = null
+    this._pendingRequests = {}
+    this._nextRequestId = 0
+  }
+
+  _emit (event, data) {
+    for (const callback of (this._listeners[event] || []).slice()) {
+      callback(data)
+    }
+  }
+
+  /**
+   * Attach to a peer event: 'handshake', 'message', 'goodbye', 'error' or 'close'
+   * @param {String} event - Event string on which to attach
+   * @param {Function} callback - Function to execute when event is emitted
+   */
+  on (event, callback) {
+    (this._listeners[event] = this._listeners[event] || []).push(callback)
+  }
+
+  /**
+   * Connect to the Node and complete the handshake
+   * @returns {Boolean} Resolves true once the Node proved its identity, false when the connection closed before
+   */
+  async connect () {
+    if (this._state !== null && this._state !== 'closed') {
+      throw new Error('Already connected')
+    }
+
+    if (this._identity === null) {
+      this._identity = await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify'])
+    }
+
+    const identityKey = new Uint8Array(await crypto.subtle.exportKey('spki', this._identity.publicKey))
+
+    this._identityPem = toPem(identityKey)
+    this._identityId = toHex(await sha256(identityKey))
+
+    // A fresh session key per connection
+    this._keypair = await crypto.subtle.generateKey({ name: 'X25519' }, true, ['deriveBits'])
+    this._publicPem = toPem(await crypto.subtle.exportKey('spki', this._keypair.publicKey))
+    this._nonce = crypto.getRandomValues(new Uint8Array(32))
+
+    this._state = 'connecting'
+    this._id = null
+    this._remoteHello = null
+    this._remotePublicPem = null
+    this._pendingHello = null
+    this._goodbye = null
+    this._buffer = new Uint8Array(0)
+    this._session = null
+    this._sendSequence = 0n
+    this._receiveSequence = 0n
+
+    // Frames go out and are taken in one after the other, encryption is asynchronous but sequence numbers are not
+    this._sending = Promise.resolve()
+    this._receiving = Promise.resolve()
+
+    this._sessionReady = new Promise((resolve) => { this._resolveSession = resolve })
+    this._handshake = new Promise((resolve) => { this._resolveHandshake = resolve })
+
+    const socket = new this._WebSocket(this._url)
+
+    socket.binaryType = 'arraybuffer'
+    socket.onopen = () => {
+      this._state = 'connected'
+      this._write('SECURE', encoder.encode(this._publicPem))
+      this._write('HELLO', encoder.encode(JSON.stringify({
+        version: PROTOCOL_VERSION,
+        minVersion: PROTOCOL_VERSION,
+        key: this._identityPem,
+        nonce: toHex(this._nonce),
+        port: null,
+        userAgent: this._userAgent,
+        capabilities: CAPABILITIES,
+        compression: []
+      })))
+    }
+    socket.onmessage = (event) => this._receive(new Uint8Array(event.data))
+    socket.onerror = () => this._emit('error', { peer: this, err: 'WebSocket error' })
+    socket.onclose = () => this._closed()
+
+    this._socket = socket
+
+    return this._handshake
+  }
+
+  _write (command, data) {
+    const sent = this._sending.then(async () => {
+      if (this._socket === null) return false
+
+      // Everything but our public key waits for the session and is encrypted
+      if (command !== 'SECURE') {
+        if (!(await this._sessionReady)) return false
+
+        data = await this._encrypt(command, data)
+      }
+
+      if (this._socket === null) return false
+
+      const head = new Uint8Array(FRAME_CHECKSUM_OFFSET)
+      const view = new DataView(head.buffer)
+
+      view.setUint32(0, this._header, true)
+      head[FRAME_VERSION_OFFSET] = PROTOCOL_VERSION
+      head.set(encoder.encode(command.slice(0, FRAME_COMMAND_LENGTH)), FRAME_COMMAND_OFFSET)
+      view.setUint32(FRAME_LENGTH_OFFSET, data.length, true)
+
+      const checksum = (await sha256(concat(head, data))).slice(0, FRAME_CHECKSUM_LENGTH)
+
+      this._socket.send(concat(head, checksum, data))
+
+      return true
+    })
+
+    this._sending = sent.catch(() => false)
+
+    return this._sending
+  }
+
+  _receive (chunk) {
+    let buffer = concat(this._buffer, chunk)
+
+    while (buffer.length >= FRAME_DATA_OFFSET) {
+      const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+      const length = view.getUint32(FRAME_LENGTH_OFFSET, true)
+
+      // Nothing but a well formed frame is expected on an ordered connection
+      if (view.getUint32(0, true) !== this._header || length > this._maxFrameSize) {
+        this._violation('Invalid frame')
+        return
+      }
+
+      if (buffer.length < FRAME_DATA_OFFSET + length) break
+
+      const frame = buffer.slice(0, FRAME_DATA_OFFSET + length)
+
+      buffer = buffer.slice(FRAME_DATA_OFFSET + length)
+      this._receiving = this._receiving.then(() => this._processFrame(frame)).catch((err) => {
+        this._violation(err.message)
+      })
+    }
+
+    this._buffer = buffer
+  }
+
+  async _processFrame (frame) {
+    if (this._socket === null) return
+
+    const head = frame.slice(0, FRAME_CHECKSUM_OFFSET)
+    let data = frame.slice(FRAME_DATA_OFFSET)
+    const checksum = (await sha256(concat(head, data))).slice(0, FRAME_CHECKSUM_LENGTH)
+
+    if (!equal(checksum, frame.slice(FRAME_CHECKSUM_OFFSET, FRAME_DATA_OFFSET))) {
+      throw new Error('Checksum mismatch')
+    }
+
+    if (head[FRAME_FLAGS_OFFSET] & (FLAG_SIGNED | FLAG_COMPRESSED)) {
+      throw new Error('Signed and compressed frames are not supported')
+    }
+
+    const command = decoder.decode(head.slice(FRAME_COMMAND_OFFSET, FRAME_LENGTH_OFFSET)).replace(/\0+$/, '')
+
+    if (command === 'SECURE') {
+      await this._processSecure(data)
+      return
+    }
+
+    // The Node holds a keypair, nothing arrives unencrypted after its public key
+    if (this._session === null) {
+      throw new Error(`Received ${command} before the session was established`)
+    }
+
+    try {
+      data = await this._decrypt(command, data)
+    } catch (err) {
+      throw new Error('Unable to decrypt message')
+    }
+
+    if (this._resolveHandshake === null && ['HELLO', 'HELLO-ACK'].includes(command)) {
+      throw new Error(`Received ${command} out of order`)
+    }
+
+    if (command === 'HELLO') {
+      await this._processHello(data)
+    } else if (command === 'HELLO-ACK') {
+      await this._processHelloAck(data)
+    } else if (command === 'REJECT') {
+      this._emit('error', { peer: this, err: `Rejected by remote: ${decoder.decode(data)}` })
+      this.disconnect()
+    } else if (command === 'PING') {
+      this._write('PONG', data)
+    } else if (command === 'BYE') {
+      this._goodbye = decoder.decode(data)
+      this._emit('goodbye', { peer: this, reason: this._goodbye })
+    } else if (command === 'REQUEST' && data.length >= 16) {
+      const reply = concat(data.slice(0, 4), new Uint8Array([RESPONSE_ERROR]), encoder.encode('Browser peers do not answer requests'))
+
+      this._write('RESPONSE', reply)
+    } else if (command === 'RESPONSE' && data.length >= 5) {
+      this._processResponse(data)
+    } else if (!IGNORED_COMMANDS.includes(command)) {
+      this._emit('message', { peer: this, command: command, data: data })
+    }
+  }
+
+  async _processSecure (data) {
+    if (this._remotePublicPem !== null) {
+      throw new Error('Received SECURE out of order')
+    }
+
+    this._remotePublicPem = decoder.decode(data)
+
+    const remoteKey = await crypto.subtle.importKey('spki', fromPem(this._remotePublicPem), { name: 'X25519' }, false, [])
+    const secret = await crypto.subtle.deriveBits({ name: 'X25519', public: remoteKey }, this._keypair.privateKey, 256)
+
+    // Both sides order the public keys the same way so they agree on salt and key direction
+    const publicKeys = [this._publicPem, this._remotePublicPem].sort()
+    const salt = await sha256(encoder.encode(publicKeys.join('')))
+    const hkdf = await crypto.subtle.importKey('raw', secret, 'HKDF', false, ['deriveBits'])
+    const material = new Uint8Array(await crypto.subtle.deriveBits({
+      name: 'HKDF',
+      hash: 'SHA-256',
+      salt: salt,
+      info: encoder.encode(SESSION_INFO)
+    }, hkdf, 512))
+    const first = publicKeys[0] === this._publicPem
+    const key = (bytes) => crypto.subtle.importKey('raw', bytes, 'AES-GCM', false, ['encrypt', 'decrypt'])
+
+    this._session = {
+      sendKey: await key(first ? material.slice(0, 32) : material.slice(32)),
+      receiveKey: await key(first ? material.slice(32) : material.slice(0, 32)),
+      binding: salt
+    }
+
+    this._resolveSession(true)
+  }
+
+  async _encrypt (command, data) {
+    const iv = sessionNonce(this._sendSequence++)
+    const ciphertext = await crypto.subtle.encrypt({
+      name: 'AES-GCM',
+      iv: iv,
+      additionalData: encoder.encode(command.slice(0, FRAME_COMMAND_LENGTH))
+    }, this._session.sendKey, data)
+
+    return concat(iv, new Uint8Array(ciphertext))
+  }
+
+  async _decrypt (command, data) {
+    const iv = data.slice(0, SESSION_IV_LENGTH)
+
+    // Frames arrive in the order they were sent, anything else was replayed, reordered or dropped on the way
+    if (!equal(iv, sessionNonce(this._receiveSequence))) {
+      throw new Error('Unexpected frame sequence')
+    }
+
+    const plaintext = await crypto.subtle.decrypt({
+      name: 'AES-GCM',
+      iv: iv,
+      additionalData: encoder.encode(command)
+    }, this._session.receiveKey, data.slice(SESSION_IV_LENGTH))
+
+    this._receiveSequence++
+
+    return new Uint8Array(plaintext)
+  }
+
+  _identityTranscript (verifierNonce, proverNonce) {
+    return concat(encoder.encode(IDENTITY_LABEL), verifierNonce, proverNonce, this._session.binding)
+  }
+
+  async _networkProof (transcript) {
+    const key = await crypto.subtle.importKey('raw', this._networkKey, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+
+    return new Uint8Array(await crypto.subtle.sign('HMAC', key, concat(encoder.encode(NETWORK_KEY_LABEL), transcript)))
+  }
+
+  async _processHello (data) {
+    if (this._pendingHello !== null) {
+      throw new Error('Received a second HELLO')
+    }
+
+    const hello = JSON.parse(decoder.decode(data))
+    const remoteNonce = fromHex(hello.nonce)
+    const capabilities = Array.isArray(hello.capabilities) ? hello.capabilities : []
+
+    if (!Number.isInteger(hello.version) || hello.version < PROTOCOL_VERSION || hello.minVersion > PROTOCOL_VERSION) {
+      this._reject(`Incompatible protocol version ${hello.version}, supported ${PROTOCOL_VERSION} - ${PROTOCOL_VERSION}`)
+      return
+    }
+
+    if (!capabilities.includes('encryption')) {
+      this._reject('Remote does not support encryption')
+      return
+    }
+
+    const key = fromPem(hello.key)
+
+    // Nothing the remote claims is taken as true until it proved it holds the identity key
+    this._pendingHello = {
+      id: toHex(await sha256(key)),
+      key: await crypto.subtle.importKey('spki', key, { name: 'Ed25519' }, false, ['verify']),
+      nonce: remoteNonce,
+      hello: {
+        version: PROTOCOL_VERSION,
+        userAgent: String(hello.userAgent),
+        capabilities: CAPABILITIES.filter((capability) => capabilities.includes(capability))
+      }
+    }
+
+    const transcript = this._identityTranscript(remoteNonce, this._nonce)
+    let ack = new Uint8Array(await crypto.subtle.sign({ name: 'Ed25519' }, this._identity.privateKey, transcript))
+
+    // Answer the challenge of the remote nonce without revealing the network key itself
+    if (this._networkKey !== null) {
+      ack = concat(ack, await this._networkProof(transcript))
+    }
+
+    this._write('HELLO-ACK', ack)
+  }
+
+  async _processHelloAck (data) {
+    const pending = this._pendingHello
+
+    if (pending === null) {
+      this._reject('Unable to verify peer identity')
+      return
+    }
+
+    const transcript = this._identityTranscript(this._nonce, pending.nonce)
+    const signature = data.slice(0, IDENTITY_SIGNATURE_LENGTH)
+
+    if (!(await crypto.subtle.verify({ name: 'Ed25519' }, pending.key, signature, transcript))) {
+      this._reject('Unable to verify peer identity')
+      return
+    }
+
+    if (this._networkKey !== null && !equal(data.slice(IDENTITY_SIGNATURE_LENGTH), await this._networkProof(transcript))) {
+      this._reject('Network key mismatch')
+      return
+    }
+
+    this._id = pending.id
+    this._remoteHello = pending.hello
+
+    this._resolveHandshake(true)
+    this._resolveHandshake = null
+
+    this._emit('handshake', {
+      peer: this,
+      id: this._id,
+      version: this._remoteHello.version,
+      userAgent: this._remoteHello.userAgent,
+      capabilities: this._remoteHello.capabilities
+    })
+  }
+
+  _processResponse (data) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength)
+    const pending = this._pendingRequests[view.getUint32(0, true)]
+
+    // The request already timed out or was never made, nothing to resolve
+    if (pending === undefined) return
+
+    clearTimeout(pending.timer)
+    delete this._pendingRequests[view.getUint32(0, true)]
+
+    if (data[4] === RESPONSE_OK) {
+      pending.resolve(data.slice(5))
+    } else {
+      pending.reject(new Error(decoder.decode(data.slice(5))))
+    }
+  }
+
+  async _reject (reason) {
+    this._emit('error', { peer: this, err: reason })
+
+    // Tell the remote why before hanging up so it does not simply retry
+    await this._write('REJECT', encoder.encode(reason))
+    this.disconnect()
+  }
+
+  _violation (reason) {
+    if (this._socket === null) return
+
+    this._emit('error', { peer: this, err: reason })
+    this.disconnect()
+  }
+
+  _closed () {
+    if (this._state === 'closed') return
+
+    this._state = 'closed'
+    this._socket = null
+    this._resolveSession(false)
+
+    if (this._resolveHandshake !== null) {
+      this._resolveHandshake(false)
+      this._resolveHandshake = null
+    }
+
+    for (const id in this._pendingRequests) {
+      clearTimeout(this._pendingRequests[id].timer)
+      this._pendingRequests[id].reject(new Error('Peer connection closed'))
+    }
+
+    this._pendingRequests = {}
+    this._emit('close', { peer: this })
+  }
+
+  /**
+   * Send a command and data packet to the Node, held back until the handshake has completed
+   * @param {String} command - Maximum 12 characters command string
+   * @param {String|Uint8Array} [data=null] - Data to send
+   * @returns {Boolean} Whether the message was sent
+   */
+  async send (command, data = null) {
+    if (!(await this._handshake)) return false
+
+    return this._write(command, toBytes(data))
+  }
+
+  /**
+   * Send a request to the Node and wait for the reply of its handler for the command
+   * @param {String} command - Maximum 12 characters command string
+   * @param {String|Uint8Array} [data=null] - Data to send
+   * @param {Object} [options={}] - Request options
+   * @param {Number} [options.timeout=5000] - Milliseconds to wait for the reply
+   * @returns {Uint8Array} Reply of the handler, rejects with the error of the handler or on timeout
+   */
+  request (command, data = null, { timeout = 5000 } = {}) {
+    const id = this._nextRequestId
+    this._nextRequestId = (this._nextRequestId + 1) % 0x100000000
+
+    const request = new Uint8Array(16)
+    new DataView(request.buffer).setUint32(0, id, true)
+    request.set(encoder.encode(command.slice(0, FRAME_COMMAND_LENGTH)), 4)
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        delete this._pendingRequests[id]
+        reject(new Error(`Request ${command} timed out`))
+      }, timeout)
+
+      this._pendingRequests[id] = { resolve, reject, timer }
+
+      this.send('REQUEST', concat(request, toBytes(data))).then((sent) => {
+        if (!sent && this._pendingRequests[id] !== undefined) {
+          clearTimeout(timer)
+          delete this._pendingRequests[id]
+          reject(new Error(`Request ${command} could not be sent`))
+        }
+      })
+    })
+  }
+
+  /**
+   * Say goodbye to the Node and close the connection once everything sent before has gone out
+   * @param {String} [reason='shutdown'] - Reason given to the Node
+   */
+  async goodbye (reason = 'shutdown') {
+    if (this._socket === null) return
+
+    this._goodbye = reason
+
+    await this._write('BYE', encoder.encode(reason))
+    this.disconnect()
+  }
+
+  /**
+   * Close the connection to the Node. Fires the 'close' event once it is closed
+   */
+  disconnect () {
+    if (this._socket === null) return
+
+    this._socket.close()
+  }
+
+  /**
+   * Get the id of the Node, available once the 'handshake' event has fired
+   */
+  get id () {
+    return this._id
+  }
+
+  /**
+   * Get the id of the identity this Peer proves, available once connecting
+   */
+  get identityId () {
+    return this._identityId === undefined ? null : this._identityId
+  }
+
+  /**
+   * Get the capabilities both sides support
+   */
+  get capabilities () {
+    return this._remoteHello === null ? [] : this._remoteHello.capabilities
+  }
+
+  /**
+   * Get the state of the connection: connecting, connected or closed
+   */
+  get state () {
+    return this._state
+  }
+}
+
+exports.BrowserPeer = BrowserPeer
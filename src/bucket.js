@@ -0,0 +1,49 @@
+'use strict'
+
+/**
+ * Token bucket definition
+ * @author Nathaniel Thomas
+ * @module peer-node
+ */
+
+/**
+ * Token bucket refilling at a steady rate up to its burst size. Taking more tokens than available leaves the bucket
+ * in debt, the caller is told how long to hold off until it is paid back
+ * @class
+ * @memberof module:peer-node
+ */
+class TokenBucket {
+  /**
+   * @constructor
+   * @param {Number} rate - Tokens added per second
+   * @param {Number} [burst=rate] - Maximum number of tokens held
+   * @returns {Object} TokenBucket Instance
+   */
+  constructor (rate, burst = rate) {
+    this._rate = rate
+    this._burst = burst
+    this._tokens = burst
+    this._updated = Date.now()
+  }
+
+  _refill () {
+    const now = Date.now()
+
+    this._tokens = Math.min(this._burst, this._tokens + (now - this._updated) * this._rate / 1000)
+    this._updated = now
+  }
+
+  /**
+   * Take tokens from the bucket
+   * @param {Number} [count=1] - Number of tokens to take
+   * @returns {Number} Milliseconds until the bucket is out of debt, 0 when enough tokens were available
+   */
+  take (count = 1) {
+    this._refill()
+    this._tokens -= count
+
+    return this._tokens >= 0 ? 0 : Math.ceil(-this._tokens * 1000 / this._rate)
+  }
+}
+
+module.exports = TokenBucket
@@ -0,0 +1,140 @@
+'use strict'
+
+/**
+ * Payload codec definitions
+ * @author Nathaniel Thomas
+ * @module peer-node
+ */
+
+const msgpack = require('@msgpack/msgpack')
+
+const codecs = {}
+
+/**
+ * Register a payload codec. A codec is an object with encode (value) returning a Buffer or String and
+ * decode (buffer) returning the value delivered to listeners and handlers
+ * @param {String} name - Codec name used in command definitions
+ * @param {Object} codec - Codec implementation
+ * @memberof module:peer-node
+ */
+function registerCodec (name, codec) {
+  codecs[name] = codec
+}
+
+function getCodec (codec) {
+  if (typeof codec !== 'string') return codec
+
+  if (codecs[codec] === undefined) {
+    throw new Error(`Unknown codec ${codec}`)
+  }
+
+  return codecs[codec]
+}
+
+registerCodec('raw', {
+  encode: (value) => value,
+  decode: (buffer) => buffer
+})
+
+registerCodec('utf8', {
+  encode: (value) => String(value),
+  decode: (buffer) => buffer.toString('utf8')
+})
+
+registerCodec('json', {
+  encode: (value) => JSON.stringify(value),
+  decode: (buffer) => JSON.parse(buffer.toString('utf8'))
+})
+
+registerCodec('msgpack', {
+  encode: (value) => Buffer.from(msgpack.encode(value)),
+  decode: (buffer) => msgpack.decode(buffer)
+})
+
+/**
+ * Codecs and payload validation for a set of commands, shared by a Node and its peers
+ * @class
+ * @memberof module:peer-node
+ */
+class CommandRegistry {
+  /**
+   * @constructor
+   * @param {String|Object} [codec='raw'] - Codec of commands without their own definition
+   * @returns {Object} CommandRegistry Instance
+   */
+  constructor (codec = 'raw') {
+    this._default = getCodec(codec)
+    this._commands = {}
+  }
+
+  /**
+   * Define how the payload of a command is encoded and validated
+   * @param {String} command - Maximum 12 character command string
+   * @param {Object} definition - Command definition
+   * @param {String|Object} [definition.codec] - Codec name or implementation, the default codec when omitted
+   * @param {Function} [definition.validate] - Called with the decoded payload, returning false or throwing rejects it
+   */
+  define (command, definition) {
+    this._commands[command] = {
+      codec: definition.codec === undefined ? null : getCodec(definition.codec),
+      validate: definition.validate || null
+    }
+  }
+
+  _codec (command) {
+    const definition = this._commands[command]
+
+    return definition !== undefined && definition.codec !== null ? definition.codec : this._default
+  }
+
+  /**
+   * Encode a payload for sending
+   * @param {String} command - Command the payload is sent with
+   * @param {*} value - Payload
+   * @returns {Buffer} Encoded payload
+   */
+  encode (command, value) {
+    if (value === null || value === undefined) return Buffer.alloc(0)
+
+    return Buffer.from(this._codec(command).encode(value))
+  }
+
+  /**
+   * Decode and validate a received payload, throwing an Error naming the reason when it is malformed
+   * @param {String} command - Command the payload was received with
+   * @param {Buffer} buffer - Received payload
+   * @returns {*} Decoded payload
+   */
+  decode (command, buffer) {
+    const definition = this._commands[command]
+    let value
+
+    try {
+      value = this._codec(command).decode(buffer)
+    } catch (err) {
+      throw new Error(`Unable to decode ${command} payload: ${err.message}`)
+    }
+
+    if (definition !== undefined && definition.validate !== null) {
+      let valid
+
+      try {
+        valid = definition.validate(value)
+      } catch (err) {
+        throw new Error(`Invalid ${command} payload: ${err.message}`)
+      }
+
+      // Validators compiled by JSON schema libraries return false and keep their errors on themselves
+      if (valid === false) {
+        const errors = definition.validate.errors ? `: ${JSON.stringify(definition.validate.errors)}` : ''
+
+        throw new Error(`Invalid ${command} payload${errors}`)
+      }
+    }
+
+    return value
+  }
+}
+
+exports.registerCodec = registerCodec
+exports.CommandRegistry = CommandRegistry
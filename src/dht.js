@@ -0,0 +1,488 @@
+'use strict'
+
+/**
+ * Kademlia distributed hash table
+ * @author Nathaniel Thomas
+ * @module peer-node
+ */
+
+const crypto = require('crypto')
+const Host = require('./host')
+const { SHARED_TRANSPORTS } = require('./transport')
+
+// Node ids and keys are SHA-256 hashes, so the routing table holds one bucket per bit
+const ID_BITS = 256
+const ID_PATTERN = /^[0-9a-f]{64}$/
+
+function distance (a, b) {
+  const left = Buffer.from(a, 'hex')
+  const right = Buffer.from(b, 'hex')
+
+  for (let i = 0; i < left.length; i++) {
+    left[i] ^= right[i]
+  }
+
+  return left
+}
+
+function byDistanceTo (target) {
+  return (a, b) => Buffer.compare(distance(a.id, target), distance(b.id, target))
+}
+
+// Number of leading bits two ids have in common, the index of the bucket one keeps the other in
+function sharedPrefix (a, b) {
+  const difference = distance(a, b)
+
+  for (let i = 0; i < difference.length; i++) {
+    if (difference[i] !== 0) {
+      return i * 8 + Math.clz32(difference[i]) - 24
+    }
+  }
+
+  return ID_BITS - 1
+}
+
+// Never dial local endpoints on the word of another Node
+function isShared (host) {
+  return SHARED_TRANSPORTS.includes(host.transport)
+}
+
+function keyId (key) {
+  return crypto.createHash('sha256').update(key).digest('hex')
+}
+
+/**
+ * Kademlia distributed hash table spanning the Nodes of a network, available as node.dht. Nodes are kept in XOR
+ * distance buckets and found through iterative FIND_NODE and FIND_VALUE lookups, records are stored on the Nodes
+ * closest to their key until they expire unless their publisher republishes them
+ * @class
+ * @memberof module:peer-node
+ */
+class DHT {
+  /**
+   * @constructor
+   * @param {Node} node - Node the table belongs to
+   * @param {Object} [options={}] - DHT options
+   * @param {Number} [options.k=20] - Bucket size and number of Nodes a lookup returns
+   * @param {Number} [options.alpha=3] - Number of Nodes a lookup queries at once
+   * @param {Number} [options.replication=20] - Number of Nodes a record is stored on
+   * @param {Number} [options.expiry=86400000] - Milliseconds a record is kept without being republished
+   * @param {Number} [options.republishInterval=3600000] - Milliseconds between republishing the records put here
+   * @param {Number} [options.timeout=5000] - Milliseconds to wait for another Node to answer
+   * @param {Number} [options.maxValueSize=65536] - Largest value in bytes stored for other Nodes
+   * @param {Number} [options.maxRecords=1024] - Number of records stored for other Nodes in total
+   * @param {Number} [options.maxRecordsPerPeer=128] - Number of records stored for any single Node
+   * @returns {Object} DHT Instance
+   */
+  constructor (node, options = {}) {
+    this._node = node
+    this._options = Object.assign({
+      k: 20,
+      alpha: 3,
+      replication: 20,
+      expiry: 86400000,
+      republishInterval: 3600000,
+      timeout: 5000,
+      maxValueSize: 65536,
+      maxRecords: 1024,
+      maxRecordsPerPeer: 128
+    }, options)
+
+    this._buckets = Array.from({ length: ID_BITS }, () => [])
+    this._records = new Map()
+    this._recordCounts = new Map()
+    this._published = new Map()
+    this._republishTimer = null
+    this._bootstrap = null
+
+    // Connections opened only to ask a Node something, closed again once it answered
+    this._connections = new Set()
+
+    node.handle('FIND_NODE', this._handleFindNode.bind(this))
+    node.handle('FIND_VALUE', this._handleFindValue.bind(this))
+    node.handle('STORE', this._handleStore.bind(this))
+
+    // Every Node we connect to is a way into the table
+    node.on('peerConnected', (data) => {
+      if (!data.peer.supports('routing')) return
+
+      this._addContact(data.peer.id, data.peer._listenHost ? data.peer._listenHost.uri : null)
+      this.bootstrap().catch(() => {})
+    })
+  }
+
+  get _id () {
+    return this._node.id
+  }
+
+  get _uri () {
+    return this._node._server === null ? null : this._node._host.uri
+  }
+
+  _addContact (id, uri) {
+    if (id === this._id || !ID_PATTERN.test(id)) return
+
+    const bucket = this._buckets[sharedPrefix(this._id, id)]
+    const index = bucket.findIndex((contact) => contact.id === id)
+
+    if (index !== -1) {
+      // Most recently seen contacts go to the end
+      const [contact] = bucket.splice(index, 1)
+
+      contact.uri = uri || contact.uri
+      bucket.push(contact)
+    } else if (bucket.length < this._options.k) {
+      bucket.push({ id: id, uri: uri })
+    }
+
+    // Full buckets keep their long lived contacts, a contact failing to answer makes room
+  }
+
+  _removeContact (id) {
+    const bucket = this._buckets[sharedPrefix(this._id, id)]
+    const index = bucket.findIndex((contact) => contact.id === id)
+
+    if (index !== -1) {
+      bucket.splice(index, 1)
+    }
+  }
+
+  _closest (target, count) {
+    return [].concat(...this._buckets).sort(byDistanceTo(target)).slice(0, count)
+  }
+
+  _contactUri (peer, uri) {
+    if (typeof uri !== 'string') return null
+
+    try {
+      const host = new Host(uri)
+
+      if (!isShared(host)) return null
+
+      // Nodes listening on every interface are reached through the address they connected from
+      if (host.transport === 'tcp' && peer._host.transport === 'tcp' && (host.address === '0.0.0.0' || host.address === '::')) {
+        return new Host(peer._host.address, host.port).uri
+      }
+
+      return host.uri
+    } catch (err) {
+      return null
+    }
+  }
+
+  _record (id) {
+    const record = this._records.get(id)
+
+    if (record !== undefined && record.expires <= Date.now()) {
+      this._deleteRecord(id)
+      return undefined
+    }
+
+    return record
+  }
+
+  _setRecord (id, record) {
+    this._deleteRecord(id)
+    this._records.set(id, record)
+    this._recordCounts.set(record.owner, (this._recordCounts.get(record.owner) || 0) + 1)
+  }
+
+  _deleteRecord (id) {
+    const record = this._records.get(id)
+
+    if (record === undefined) return
+
+    const count = this._recordCounts.get(record.owner) - 1
+
+    this._records.delete(id)
+
+    if (count === 0) {
+      this._recordCounts.delete(record.owner)
+    } else {
+      this._recordCounts.set(record.owner, count)
+    }
+  }
+
+  _expireRecords () {
+    for (const [id, record] of this._records) {
+      if (record.expires <= Date.now()) {
+        this._deleteRecord(id)
+      }
+    }
+  }
+
+  async _request (contact, command, message) {
+    let peer = this._node._peerList[contact.id]
+    let temporary = false
+
+    if (peer === undefined || peer.state !== 'connected') {
+      if (contact.uri === null) {
+        throw new Error(`No address known for ${contact.id}`)
+      }
+
+      peer = await this._node._openConnection(new Host(contact.uri), contact.id, this._options.timeout)
+      temporary = true
+      this._connections.add(peer)
+    }
+
+    try {
+      const reply = await peer.request(command, JSON.stringify(Object.assign({ uri: this._uri }, message)), {
+        timeout: this._options.timeout
+      })
+
+      return reply.length === 0 ? {} : JSON.parse(reply.toString())
+    } finally {
+      if (temporary) {
+        this._connections.delete(peer)
+        peer.disconnect()
+      }
+    }
+  }
+
+  _parseRequest (data, peer) {
+    const request = JSON.parse(data.toString())
+
+    // Whoever asks is a live Node worth knowing
+    this._addContact(peer.id, this._contactUri(peer, request.uri))
+
+    return request
+  }
+
+  _shareContacts (target, requester) {
+    return this._closest(target, this._options.k + 1)
+      .filter((contact) => contact.id !== requester && contact.uri !== null)
+      .slice(0, this._options.k)
+  }
+
+  _handleFindNode (data, peer) {
+    const request = this._parseRequest(data, peer)
+
+    if (!ID_PATTERN.test(request.target)) {
+      throw new Error('Invalid target')
+    }
+
+    return JSON.stringify({ contacts: this._shareContacts(request.target, peer.id) })
+  }
+
+  _handleFindValue (data, peer) {
+    const request = this._parseRequest(data, peer)
+
+    if (!ID_PATTERN.test(request.target)) {
+      throw new Error('Invalid target')
+    }
+
+    const record = this._record(request.target)
+
+    if (record !== undefined) {
+      return JSON.stringify({ value: record.value.toString('base64') })
+    }
+
+    return JSON.stringify({ contacts: this._shareContacts(request.target, peer.id) })
+  }
+
+  _handleStore (data, peer) {
+    const request = this._parseRequest(data, peer)
+    const value = Buffer.from(String(request.value), 'base64')
+
+    if (!ID_PATTERN.test(request.key)) {
+      throw new Error('Invalid key')
+    }
+
+    if (value.length > this._options.maxValueSize) {
+      throw new Error(`Value of ${value.length} bytes exceeds the maximum of ${this._options.maxValueSize}`)
+    }
+
+    const existing = this._record(request.key)
+
+    // Storing for others is bounded per Node and in total, new keys beyond that are turned down
+    if ((existing === undefined || existing.owner !== peer.id) && (this._recordCounts.get(peer.id) || 0) >= this._options.maxRecordsPerPeer) {
+      throw new Error(`Record limit of ${this._options.maxRecordsPerPeer} reached`)
+    }
+
+    if (existing === undefined && this._records.size >= this._options.maxRecords) {
+      this._expireRecords()
+
+      if (this._records.size >= this._options.maxRecords) {
+        throw new Error(`Record limit of ${this._options.maxRecords} reached`)
+      }
+    }
+
+    // Records live as long as their publisher asks, but never longer than we are willing to keep them
+    const ttl = Number.isInteger(request.ttl) && request.ttl > 0 ? Math.min(request.ttl, this._options.expiry) : this._options.expiry
+
+    this._setRecord(request.key, { value: value, expires: Date.now() + ttl, owner: peer.id })
+  }
+
+  async _lookup (target, findValue = false) {
+    const shortlist = new Map()
+    const queried = new Set()
+    const order = byDistanceTo(target)
+
+    for (const contact of this._closest(target, this._options.k)) {
+      shortlist.set(contact.id, contact)
+    }
+
+    while (true) {
+      const closest = Array.from(shortlist.values()).sort(order).slice(0, this._options.k)
+      const pending = closest.filter((contact) => !queried.has(contact.id)).slice(0, this._options.alpha)
+
+      // Done once the closest Nodes we know of have all been asked
+      if (pending.length === 0) {
+        return { contacts: closest }
+      }
+
+      const replies = await Promise.all(pending.map(async (contact) => {
+        queried.add(contact.id)
+
+        try {
+          const reply = await this._request(contact, findValue ? 'FIND_VALUE' : 'FIND_NODE', { target: target })
+
+          this._addContact(contact.id, contact.uri)
+
+          return reply
+        } catch (err) {
+          shortlist.delete(contact.id)
+          this._removeContact(contact.id)
+
+          return null
+        }
+      }))
+
+      for (const reply of replies) {
+        if (reply === null) continue
+
+        if (findValue && typeof reply.value === 'string') {
+          return { value: Buffer.from(reply.value, 'base64') }
+        }
+
+        for (const contact of Array.isArray(reply.contacts) ? reply.contacts : []) {
+          if (contact.id === this._id || !ID_PATTERN.test(contact.id) || typeof contact.uri !== 'string' || shortlist.has(contact.id)) continue
+
+          try {
+            const host = new Host(contact.uri)
+
+            if (isShared(host)) {
+              shortlist.set(contact.id, { id: contact.id, uri: host.uri })
+            }
+          } catch (err) {
+            // Skip addresses we cannot make sense of
+          }
+        }
+      }
+    }
+  }
+
+  async _store (id, value) {
+    const { contacts } = await this._lookup(id)
+    const targets = contacts.concat([{ id: this._id, uri: null }]).sort(byDistanceTo(id)).slice(0, this._options.replication)
+    let stored = 0
+
+    await Promise.all(targets.map(async (contact) => {
+      if (contact.id === this._id) {
+        this._setRecord(id, { value: value, expires: Date.now() + this._options.expiry, owner: this._id })
+        stored++
+        return
+      }
+
+      try {
+        await this._request(contact, 'STORE', { key: id, value: value.toString('base64'), ttl: this._options.expiry })
+        stored++
+      } catch (err) {
+        this._removeContact(contact.id)
+      }
+    }))
+
+    return stored
+  }
+
+  _republish () {
+    this._expireRecords()
+
+    for (const [id, value] of this._published) {
+      this._store(id, value).catch(() => {})
+    }
+  }
+
+  /**
+   * Look up the Nodes closest to our own id, filling the routing table. Runs whenever a Node connects
+   * @returns {Number} Number of contacts in the routing table
+   */
+  async bootstrap () {
+    if (this._bootstrap === null) {
+      this._bootstrap = this._lookup(this._id).finally(() => {
+        this._bootstrap = null
+      })
+    }
+
+    await this._bootstrap
+
+    return this.contacts.length
+  }
+
+  /**
+   * Store a record on the Nodes closest to its key and keep republishing it while this Node runs
+   * @param {String|Buffer} key - Record key
+   * @param {String|Buffer} value - Record value
+   * @returns {Number} Number of Nodes the record was stored on
+   */
+  async put (key, value) {
+    const id = keyId(key)
+
+    value = Buffer.from(value)
+
+    if (value.length > this._options.maxValueSize) {
+      throw new Error(`Value of ${value.length} bytes exceeds the maximum of ${this._options.maxValueSize}`)
+    }
+
+    this._published.set(id, value)
+
+    if (this._republishTimer === null) {
+      this._republishTimer = setInterval(this._republish.bind(this), this._options.republishInterval)
+    }
+
+    return this._store(id, value)
+  }
+
+  /**
+   * Find the value of a record
+   * @param {String|Buffer} key - Record key
+   * @returns {Buffer} Record value, null when no Node holds the record
+   */
+  async get (key) {
+    const id = keyId(key)
+    const record = this._record(id)
+
+    if (record !== undefined) {
+      return record.value
+    }
+
+    const result = await this._lookup(id, true)
+
+    return result.value === undefined ? null : result.value
+  }
+
+  /**
+   * Stop republishing records and close the connections still asking other Nodes
+   */
+  async stop () {
+    if (this._republishTimer !== null) {
+      clearInterval(this._republishTimer)
+      this._republishTimer = null
+    }
+
+    for (const peer of this._connections) {
+      await peer.destroy()
+    }
+
+    this._connections.clear()
+  }
+
+  /**
+   * Get all contacts of the routing table as a list of { id, uri }
+   */
+  get contacts () {
+    return [].concat(...this._buckets).map((contact) => ({ id: contact.id, uri: contact.uri }))
+  }
+}
+
+module.exports = DHT
@@ -0,0 +1,371 @@
+'use strict'
+
+/**
+ * Frame encoding and decoding
+ * @author Nathaniel Thomas
+ * @module peer-node
+ */
+
+const crypto = require('crypto')
+const EventEmitter = require('events')
+
+// Wire protocol spoken by this version and the oldest version it still understands
+const PROTOCOL_VERSION = 2
+const MIN_PROTOCOL_VERSION = 2
+
+// Frame layout: magic header, protocol version, flags, command, data length and checksum ahead of the data
+const FRAME_VERSION_OFFSET = 4
+const FRAME_FLAGS_OFFSET = 5
+const FRAME_COMMAND_OFFSET = 6
+const FRAME_COMMAND_LENGTH = 12
+const FRAME_LENGTH_OFFSET = 18
+const FRAME_CHECKSUM_OFFSET = 22
+
+// Flag bits
+const FLAG_SIGNED = 0x01
+const FLAG_COMPRESSED = 0x02
+
+// Signed frames carry an Ed25519 signature behind their data
+const SIGNATURE_LENGTH = 64
+
+const DEFAULT_CHECKSUM = { algorithm: 'sha256', length: 4 }
+
+// Receive buffers start at this size and grow towards the buffer size only while a large frame is pending
+const MIN_BUFFER_SIZE = 16384
+const EMPTY_BUFFER = Buffer.alloc(0)
+
+// Lookup table for the Castagnoli polynomial
+const CRC32C_TABLE = new Int32Array(256).map((value, n) => {
+  let c = n
+
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0x82F63B78 ^ (c >>> 1) : c >>> 1
+  }
+
+  return c
+})
+
+function crc32c (data) {
+  let crc = -1
+
+  for (let i = 0; i < data.length; i++) {
+    crc = CRC32C_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8)
+  }
+
+  const checksum = Buffer.alloc(4)
+  checksum.writeUInt32LE((crc ^ -1) >>> 0, 0)
+
+  return checksum
+}
+
+function normalizeChecksum (checksum = {}) {
+  checksum = Object.assign({}, DEFAULT_CHECKSUM, checksum)
+
+  if (checksum.algorithm === 'crc32c') {
+    checksum.length = 4
+  } else {
+    // Throws for algorithms unknown to this platform
+    const size = crypto.createHash(checksum.algorithm).digest().length
+
+    if (!Number.isInteger(checksum.length) || checksum.length < 1 || checksum.length > size) {
+      throw new Error(`Checksum length must be between 1 and ${size} bytes for ${checksum.algorithm}`)
+    }
+  }
+
+  return checksum
+}
+
+function calculateChecksum (checksum, head, data) {
+  if (checksum.algorithm === 'crc32c') {
+    return crc32c(Buffer.concat([head, data]))
+  }
+
+  return crypto.createHash(checksum.algorithm).update(head).update(data).digest().slice(0, checksum.length)
+}
+
+/**
+ * Build a frame ready to be written to a socket
+ * @param {Number} header - 10 digit number identifying header of each message
+ * @param {Number} version - Protocol version the frame is written in
+ * @param {Number} flags - Frame flag bits
+ * @param {String} command - Maximum 12 characters command string
+ * @param {Buffer} data - Frame data
+ * @param {Object} [options={}] - Frame options
+ * @param {Object} [options.checksum] - Integrity check, { algorithm: 'sha256', length: 4 } by default or { algorithm: 'crc32c' }
+ * @param {Identity} [options.identity] - Identity signing the frame, the frame is not signed when omitted
+ * @returns {Buffer} Encoded frame
+ * @memberof module:peer-node
+ */
+function encodeFrame (header, version, flags, command, data, options = {}) {
+  const checksum = normalizeChecksum(options.checksum)
+  const signed = options.identity !== undefined && options.identity !== null
+  const length = data.length + (signed ? SIGNATURE_LENGTH : 0)
+
+  // Everything ahead of the checksum, covered by both the checksum and the signature
+  const head = Buffer.alloc(FRAME_CHECKSUM_OFFSET)
+
+  // Write the message header and protocol version to start this message
+  head.writeUInt32LE(header, 0)
+  head.writeUInt8(version, FRAME_VERSION_OFFSET)
+  head.writeUInt8(signed ? flags | FLAG_SIGNED : flags & ~FLAG_SIGNED, FRAME_FLAGS_OFFSET)
+
+  // Loop through our command characters and write up to 12 of them
+  for (let i = 0; i < FRAME_COMMAND_LENGTH; i++) {
+    // Add the command character
+    if (i < command.length) {
+      head.writeUInt8(command.charCodeAt(i), i + FRAME_COMMAND_OFFSET)
+    }
+  }
+
+  // Output the length of the data block including a signature
+  head.writeUInt32LE(length, FRAME_LENGTH_OFFSET)
+
+  if (signed) {
+    data = Buffer.concat([data, options.identity.sign(Buffer.concat([head, data]))])
+  }
+
+  return Buffer.concat([head, calculateChecksum(checksum, head, data), data])
+}
+
+/**
+ * Incremental decoder splitting a byte stream into frames. Corrupt data is reported through 'protocolError' events
+ * and skipped until the next frame header, so the decoder never needs a socket to be exercised. Frames are read
+ * straight from the received data, only an incomplete frame is kept in a buffer sized to fit it
+ * @class
+ * @memberof module:peer-node
+ */
+class FrameDecoder {
+  /**
+   * @constructor
+   * @param {Number} [header=0xA27CC1A2] - 10 digit number identifying header of each message
+   * @param {Number} [bufferSize=10485760] - Largest size the buffer holding an incomplete frame may grow to
+   * @param {Object} [options={}] - Decoder options
+   * @param {Number} [options.maxFrameSize] - Largest data length accepted in a frame, at most bufferSize minus the frame header
+   * @param {Object} [options.checksum] - Integrity check the remote uses, see {@link module:peer-node.encodeFrame}
+   * @returns {Object} FrameDecoder Instance
+   */
+  constructor (header = 0xA27CC1A2, bufferSize = 10485760, options = {}) {
+    this._header = Buffer.alloc(4)
+    this._header.writeUInt32LE(header, 0)
+    this._checksum = normalizeChecksum(options.checksum)
+    this._headerLength = FRAME_CHECKSUM_OFFSET + this._checksum.length
+    this._maxFrameSize = Math.min(options.maxFrameSize || Infinity, bufferSize - this._headerLength)
+    this._bufferSize = bufferSize
+    this._buffer = EMPTY_BUFFER
+    this._owned = false
+    this._start = 0
+    this._end = 0
+    this._resyncing = false
+
+    this._eventEmitter = new EventEmitter()
+  }
+
+  _protocolError (reason) {
+    this._eventEmitter.emit('protocolError', { reason: reason })
+  }
+
+  _skip (bytes) {
+    // Bytes following a rejected frame belong to it and were already reported
+    if (!this._resyncing) {
+      this._protocolError(`Skipped ${bytes} bytes of unframed data`)
+    }
+  }
+
+  _reject (reason) {
+    this._protocolError(reason)
+    this._resyncing = true
+  }
+
+  _reserve (length) {
+    const pending = this._end - this._start
+
+    if (this._owned && this._end + length <= this._buffer.length) return
+
+    if (this._owned && pending + length <= this._buffer.length) {
+      // Move the pending data to the front to make room behind it
+      this._buffer.copy(this._buffer, 0, this._start, this._end)
+    } else {
+      const size = Math.min(this._bufferSize, Math.max(pending + length, this._buffer.length * 2, MIN_BUFFER_SIZE))
+      const buffer = Buffer.allocUnsafe(size)
+
+      this._buffer.copy(buffer, 0, this._start, this._end)
+      this._buffer = buffer
+      this._owned = true
+    }
+
+    this._start = 0
+    this._end = pending
+  }
+
+  _retain () {
+    if (this._start === this._end) {
+      // Nothing pending, idle connections hold no buffer at all
+      this._buffer = EMPTY_BUFFER
+      this._owned = false
+      this._start = 0
+      this._end = 0
+    } else if (!this._owned) {
+      // The received data belongs to the caller, keep our own copy of the incomplete frame
+      this._reserve(0)
+    }
+  }
+
+  _decode () {
+    let cursor = this._start
+
+    while (this._end - cursor >= this._headerLength) {
+      // Look for the start of the next frame, ignoring stale bytes behind the received data
+      const start = this._buffer.subarray(0, this._end).indexOf(this._header, cursor)
+
+      if (start === -1) {
+        // Keep the last bytes in case they are the beginning of a header
+        const keep = Math.max(cursor, this._end - (this._header.length - 1))
+
+        if (keep > cursor) {
+          this._skip(keep - cursor)
+          cursor = keep
+        }
+        break
+      }
+
+      if (start > cursor) {
+        this._skip(start - cursor)
+        cursor = start
+      }
+
+      if (this._end - cursor < this._headerLength) break
+
+      const version = this._buffer.readUInt8(cursor + FRAME_VERSION_OFFSET)
+      const flags = this._buffer.readUInt8(cursor + FRAME_FLAGS_OFFSET)
+      const length = this._buffer.readUInt32LE(cursor + FRAME_LENGTH_OFFSET)
+
+      // Neither field can be trusted, resynchronize on the next header
+      if (version < MIN_PROTOCOL_VERSION) {
+        this._reject(`Unsupported frame version ${version}`)
+        cursor++
+        continue
+      }
+
+      if (length > this._maxFrameSize) {
+        this._reject(`Frame of ${length} bytes exceeds the maximum of ${this._maxFrameSize}`)
+        cursor++
+        continue
+      }
+
+      // Wait for the rest of the frame
+      if (this._end - cursor < this._headerLength + length) break
+
+      const head = this._buffer.slice(cursor, cursor + FRAME_CHECKSUM_OFFSET)
+      const command = head
+        .slice(FRAME_COMMAND_OFFSET, FRAME_COMMAND_OFFSET + FRAME_COMMAND_LENGTH)
+        .toString('latin1')
+        .replace(/\0/g, '')
+      const body = this._buffer.slice(cursor + this._headerLength, cursor + this._headerLength + length)
+      const checksum = calculateChecksum(this._checksum, head, body)
+
+      if (!checksum.equals(this._buffer.slice(cursor + FRAME_CHECKSUM_OFFSET, cursor + this._headerLength))) {
+        this._reject(`Checksum mismatch on ${command} frame`)
+        cursor++
+        continue
+      }
+
+      if (flags & FLAG_SIGNED && length < SIGNATURE_LENGTH) {
+        this._reject(`Signed ${command} frame is too short to hold a signature`)
+        cursor++
+        continue
+      }
+
+      const frame = {
+        version: version,
+        flags: flags,
+        command: command,
+        data: Buffer.from(body),
+        signature: null,
+        signed: null
+      }
+
+      // Keep what was signed so the receiver can verify it once it knows the signer
+      if (flags & FLAG_SIGNED) {
+        frame.data = Buffer.from(body.slice(0, length - SIGNATURE_LENGTH))
+        frame.signature = Buffer.from(body.slice(length - SIGNATURE_LENGTH))
+        frame.signed = Buffer.concat([head, frame.data])
+      }
+
+      cursor += this._headerLength + length
+      this._resyncing = false
+
+      this._eventEmitter.emit('frame', frame)
+    }
+
+    this._start = cursor
+  }
+
+  /**
+   * Add received data and emit a 'frame' event for every complete frame in it
+   * @param {Buffer} data - Data as received from the socket
+   */
+  push (data) {
+    if (this._start === this._end) {
+      // Nothing is pending, read frames straight from the received data
+      this._buffer = data
+      this._owned = false
+      this._start = 0
+      this._end = data.length
+
+      this._decode()
+      this._retain()
+      return
+    }
+
+    let offset = 0
+
+    // Complete the pending frame piece by piece, never holding more than the buffer size
+    while (offset < data.length) {
+      const length = Math.min(data.length - offset, this._bufferSize - (this._end - this._start))
+
+      this._reserve(length)
+      data.copy(this._buffer, this._end, offset, offset + length)
+      this._end += length
+      offset += length
+
+      this._decode()
+
+      if (this._start === this._end && offset < data.length) {
+        this.push(data.slice(offset))
+        return
+      }
+    }
+
+    this._retain()
+  }
+
+  /**
+   * Number of bytes held for an incomplete frame
+   */
+  get buffered () {
+    return this._end - this._start
+  }
+
+  /**
+   * Bytes currently allocated to hold incomplete frames
+   */
+  get capacity () {
+    return this._owned ? this._buffer.length : 0
+  }
+
+  /**
+   * Attach to a decoder event
+   * @param {String} event - Event string on which to attach
+   * @param {Function} callback - Function to execute when event is emitted
+   */
+  on (event, callback) {
+    this._eventEmitter.on(event, callback)
+  }
+}
+
+exports.FrameDecoder = FrameDecoder
+exports.encodeFrame = encodeFrame
+exports.PROTOCOL_VERSION = PROTOCOL_VERSION
+exports.MIN_PROTOCOL_VERSION = MIN_PROTOCOL_VERSION
+exports.FLAG_SIGNED = FLAG_SIGNED
+exports.FLAG_COMPRESSED = FLAG_COMPRESSED
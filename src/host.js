@@ -0,0 +1,242 @@
+'use strict'
+
+/**
+ * Host definition
+ * @author Nathaniel Thomas
+ * @module peer-node
+ */
+
+const dns = require('dns')
+const net = require('net')
+
+// Syntactically valid DNS names, resolved when connecting
+const HOSTNAME_PATTERN = /^(?=.{1,253}$)[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*$/i
+
+// peer://address[,address...][:port] with IPv6 addresses in brackets
+const PEER_URI_PATTERN = /^(peer|tcp):\/\/([^/]+?)(?::(\d+))?\/?$/
+
+function parseAddress (address) {
+  // Accept a few shortcuts for local host
+  if (address === 'localhost') {
+    address = '127.0.0.1'
+  }
+
+  // Dual stack sockets report IPv4 peers as IPv4-mapped IPv6 addresses
+  if (address.startsWith('::ffff:') && net.isIPv4(address.slice(7))) {
+    address = address.slice(7)
+  }
+
+  const version = net.isIP(address)
+
+  // Check family
+  if (version !== 0) {
+    return { address: address, family: `IPv${version}` }
+  } else if (HOSTNAME_PATTERN.test(address)) {
+    return { address: address, family: 'hostname' }
+  }
+
+  throw new Error('Unknown address family')
+}
+
+/**
+ * Host identifier. Describes a TCP endpoint by one or more IPv4 or IPv6 addresses or hostnames, or another transport
+ * through a URI such as "peer://db1.internal:5744", "unix:/path/to/socket", "ws://example.com:8080/peer" or "memory:name"
+ * @class
+ * @memberof module:peer-node
+ */
+class Host {
+  /**
+   * @constructor
+   * @param {String|String[]} address - IPV4 or IPv6 based address, hostname or URI, or a list of candidate addresses tried in order. "localhost" is translated to 127.0.0.1
+   * @param {Number} port - Port number on which to identify the host, used when the address carries none
+   * @returns {Object} Host Instance
+   */
+  constructor (address, port = 5744) {
+    let candidates = Array.isArray(address) ? address : [address]
+
+    this._transport = 'tcp'
+    this._path = null
+    this._secure = false
+
+    if (candidates.length === 0) {
+      throw new Error('Missing address')
+    }
+
+    if (!Array.isArray(address) && (address.startsWith('unix:') || address.startsWith('memory:'))) {
+      // Local endpoints are identified by their path or name alone
+      this._transport = address.slice(0, address.indexOf(':'))
+      this._family = this._transport
+      this._address = address.slice(this._transport.length + 1)
+      this._addresses = [this._address]
+      this._port = null
+
+      if (this._address.length === 0) {
+        throw new Error(`Missing ${this._transport} address`)
+      }
+
+      return
+    }
+
+    if (!Array.isArray(address) && PEER_URI_PATTERN.test(address)) {
+      const match = PEER_URI_PATTERN.exec(address)
+
+      candidates = match[2].split(',').map((candidate) => candidate.replace(/^\[(.*)\]$/, '$1'))
+      port = match[3] === undefined ? port : parseInt(match[3])
+    } else if (!Array.isArray(address) && /^wss?:\/\//.test(address)) {
+      const url = new URL(address)
+
+      this._transport = 'ws'
+      this._secure = url.protocol === 'wss:'
+      this._path = url.pathname
+
+      candidates = [url.hostname.replace(/^\[(.*)\]$/, '$1')]
+
+      // URLs leave out the default port of their scheme
+      port = url.port !== '' ? parseInt(url.port) : (this._secure ? 443 : 80)
+    }
+
+    const parsed = candidates.map(parseAddress)
+
+    this._address = parsed[0].address
+    this._family = parsed[0].family
+    this._addresses = parsed.map((candidate) => candidate.address)
+    this._candidates = parsed
+    this._port = port
+  }
+
+  /**
+   * Look up the IP addresses of all candidates, in order. Hostnames resolve to all of their A and AAAA records
+   * @returns {Object[]} List of { address, family } with family 4 or 6
+   */
+  async resolve () {
+    const resolved = []
+    let failure = null
+
+    if (this._port === null) {
+      throw new Error(`${this.uri} does not resolve to IP addresses`)
+    }
+
+    for (const candidate of this._candidates) {
+      if (candidate.family === 'hostname') {
+        try {
+          resolved.push(...await dns.promises.lookup(candidate.address, { all: true, verbatim: true }))
+        } catch (err) {
+          // Another candidate may still resolve
+          failure = failure || err
+        }
+      } else {
+        resolved.push({ address: candidate.address, family: candidate.family === 'IPv6' ? 6 : 4 })
+      }
+    }
+
+    if (resolved.length === 0) {
+      throw failure
+    }
+
+    return resolved.filter((entry, index) => resolved.findIndex((other) => other.address === entry.address) === index)
+  }
+
+  /**
+   * Get the first host address, the socket path or memory name for local transports
+   * @returns Address String
+   */
+  get address () {
+    return this._address
+  }
+
+  /**
+   * Get all candidate addresses of this host, in the order they are tried
+   * @returns Array of address Strings
+   */
+  get addresses () {
+    return this._addresses
+  }
+
+  /**
+   * Get the host port
+   * @returns Port Number, null for local transports
+   */
+  get port () {
+    return this._port
+  }
+
+  /**
+   * Get the family type of address
+   * @returns IPv4, IPv6, hostname, unix or memory
+   */
+  get family () {
+    return this._family
+  }
+
+  /**
+   * Get the transport reaching this host
+   * @returns tcp, unix, ws or memory
+   */
+  get transport () {
+    return this._transport
+  }
+
+  /**
+   * Get the request path of a WebSocket host
+   * @returns Path String, null for other transports
+   */
+  get path () {
+    return this._path
+  }
+
+  /**
+   * Whether a WebSocket host is reached over TLS
+   */
+  get secure () {
+    return this._secure
+  }
+
+  /**
+   * Get the URI describing this host, accepted by the constructor
+   * @returns URI String
+   */
+  get uri () {
+    if (this._port === null) {
+      return `${this._transport}:${this._address}`
+    }
+
+    const addresses = this._candidates.map((candidate) => candidate.family === 'IPv6' ? `[${candidate.address}]` : candidate.address)
+
+    if (this._transport === 'ws') {
+      return `${this._secure ? 'wss' : 'ws'}://${addresses[0]}:${this._port}${this._path}`
+    }
+
+    return `peer://${addresses.join(',')}:${this._port}`
+  }
+
+  /**
+   * Get the URI describing this host
+   * @returns URI String
+   */
+  toString () {
+    return this.uri
+  }
+
+  /**
+   * Hosts are serialized as their URI, so they can be stored in configuration files and passed back to the constructor
+   * @returns URI String
+   */
+  toJSON () {
+    return this.uri
+  }
+
+  /**
+   * Get the object summary of this host instance
+   * @returns Object containing address, family, port and transport of the host
+   */
+  get object () {
+    return {
+      address: this.address,
+      family: this.family,
+      port: this.port,
+      transport: this.transport
+    }
+  }
+}
+
+module.exports = Host
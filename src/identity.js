@@ -0,0 +1,106 @@
+'use strict'
+
+/**
+ * Identity definition
+ * @author Nathaniel Thomas
+ * @module peer-node
+ */
+
+const crypto = require('crypto')
+const fs = require('fs')
+
+/**
+ * Long lived Ed25519 identity of a Peer or Node. The id of the identity is derived from its public key
+ * @class
+ * @memberof module:peer-node
+ */
+class Identity {
+  /**
+   * @constructor
+   * @param {String} [privateKey=null] - PEM encoded Ed25519 private key, a new key is generated when omitted
+   * @returns {Object} Identity Instance
+   */
+  constructor (privateKey = null) {
+    if (privateKey === null) {
+      this._privateKey = crypto.generateKeyPairSync('ed25519').privateKey
+    } else {
+      this._privateKey = crypto.createPrivateKey(privateKey)
+
+      if (this._privateKey.asymmetricKeyType !== 'ed25519') {
+        throw new Error('Identity key must be an Ed25519 key')
+      }
+    }
+
+    this._publicKey = crypto.createPublicKey(this._privateKey)
+    this._id = Identity.idFromPublicKey(this._publicKey)
+  }
+
+  /**
+   * Derive the id belonging to a public key
+   * @param {String|KeyObject} publicKey - PEM encoded or KeyObject Ed25519 public key
+   * @returns {String} Hex encoded SHA-256 of the DER encoded public key
+   */
+  static idFromPublicKey (publicKey) {
+    const key = publicKey instanceof crypto.KeyObject ? publicKey : crypto.createPublicKey(publicKey)
+    const der = key.export({ type: 'spki', format: 'der' })
+
+    return crypto.createHash('sha256').update(der).digest('hex')
+  }
+
+  /**
+   * Verify a signature made by an identity
+   * @param {String} publicKey - PEM encoded Ed25519 public key of the signer
+   * @param {Buffer} data - Signed data
+   * @param {Buffer} signature - Signature to verify
+   * @returns {Boolean} Whether the signature is valid
+   */
+  static verify (publicKey, data, signature) {
+    try {
+      return crypto.verify(null, data, crypto.createPublicKey(publicKey), signature)
+    } catch (err) {
+      return false
+    }
+  }
+
+  /**
+   * Load an identity from a PEM file
+   * @param {String} path - File containing the PEM encoded private key
+   * @returns {Identity} Identity Instance
+   */
+  static async load (path) {
+    return new Identity(await fs.promises.readFile(path, 'utf8'))
+  }
+
+  /**
+   * Save the private key of this identity to a PEM file readable only by the current user
+   * @param {String} path - File to write the PEM encoded private key to
+   */
+  async save (path) {
+    await fs.promises.writeFile(path, this._privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 })
+  }
+
+  /**
+   * Sign data with this identity
+   * @param {Buffer} data - Data to sign
+   * @returns {Buffer} Signature
+   */
+  sign (data) {
+    return crypto.sign(null, data, this._privateKey)
+  }
+
+  /**
+   * Get the id of this identity
+   */
+  get id () {
+    return this._id
+  }
+
+  /**
+   * Get the PEM encoded public key of this identity
+   */
+  get publicKey () {
+    return this._publicKey.export({ type: 'spki', format: 'pem' })
+  }
+}
+
+module.exports = Identity
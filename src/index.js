@@ -7,77 +7,165 @@
  */
 
 const crypto = require('crypto')
-const keypair = require('keypair')
 const net = require('net')
+const os = require('os')
+const tls = require('tls')
+const zlib = require('zlib')
 const PromiseSocket = require('promise-socket')
 const EventEmitter = require('events')
+const { Readable } = require('stream')
+const Host = require('./host')
+const Identity = require('./identity')
+const TokenBucket = require('./bucket')
+const { CommandRegistry, registerCodec } = require('./codec')
+const DHT = require('./dht')
+const { MemoryOutboxStore, FileOutboxStore } = require('./outbox')
+const { registerTransport, getTransport, SHARED_TRANSPORTS } = require('./transport')
+const { BrowserPeer } = require('./browser')
+const { FrameDecoder, encodeFrame, PROTOCOL_VERSION, MIN_PROTOCOL_VERSION, FLAG_COMPRESSED } = require('./frame')
+
+// Authenticated encryption used for every frame once a session has been established
+const SESSION_CIPHER = 'aes-256-gcm'
+const SESSION_IV_LENGTH = 12
+const SESSION_TAG_LENGTH = 16
+const SESSION_INFO = 'peer-node session'
+
+// Identity proofs sign both nonces and, on secure connections, the session they were made in
+const IDENTITY_LABEL = 'peer-node identity'
+const HANDSHAKE_COMMANDS = ['SECURE', 'HELLO', 'HELLO-ACK', 'REJECT']
+const IDENTITY_SIGNATURE_LENGTH = 64
+
+// Commands carrying protocol data of their own, their payloads never pass through a codec
+const INTERNAL_COMMANDS = HANDSHAKE_COMMANDS.concat(['PING', 'PONG', 'REQUEST', 'RESPONSE', 'FLOOD', 'ROUTES', 'ROUTE', 'SUBSCRIBE', 'PUBLISH', 'RELIABLE', 'ACK', 'BYE'])
+
+// Proof of the network key, an HMAC of the identity transcript appended to HELLO-ACK
+const NETWORK_KEY_LABEL = 'peer-node network'
+
+// Software and features announced during the handshake
+const USER_AGENT = `peer-node/${require('../package.json').version}`
+const CAPABILITIES = ['encryption', 'requests', 'streaming', 'keepalive', 'reliable']
+
+// Nodes additionally exchange routes and topic subscriptions with each other
+const NODE_CAPABILITIES = CAPABILITIES.concat(['routing', 'pubsub'])
+
+// Compression algorithms in order of preference, both sides pick the first one they have in common
+const COMPRESSION_ALGORITHMS = ['brotli', 'deflate']
+const COMPRESSION_THRESHOLD = 1024
+
+// Reliable messages carry the epoch of the sender outbox, a sequence number and the command ahead of their data
+const RELIABLE_EPOCH_LENGTH = 8
+const RELIABLE_HEADER_LENGTH = RELIABLE_EPOCH_LENGTH + 16
+
+// Streams are split into chunks, the receiver grants credit for more chunks as its reader consumes them
+const STREAM_CHUNK_SIZE = 65536
+const STREAM_WINDOW = 16
+const STREAM_SENDER = 0
+const STREAM_RECEIVER = 1
+const STREAM_COMMANDS = ['STREAM', 'STREAMDATA', 'STREAMEND', 'STREAMCREDIT', 'STREAMCANCEL']
+
+// Request/response status codes carried in RESPONSE frames
+const RESPONSE_OK = 0
+const RESPONSE_ERROR = 1
+
+// Ban length when none is given
+const DEFAULT_BAN_DURATION = 3600000
+
+// Maximum number of addresses shared in reply to a single GETPEERS request
+const MAX_SHARED_ADDRESSES = 64
+
+// Flooded message envelope: 16 byte id, hop count, ttl and 12 byte command ahead of the data
+const FLOOD_ID_LENGTH = 16
+const FLOOD_HEADER_LENGTH = FLOOD_ID_LENGTH + 14
+
+// Routed message envelope: 16 byte id, hop count, ttl, type, source and destination ids, 12 byte command, public key
+// and signature of the source ahead of the data. The signature covers everything but the hop count and itself
+const ROUTE_ID_LENGTH = 16
+const ROUTE_NODE_ID_LENGTH = 32
+const ROUTE_SOURCE_OFFSET = ROUTE_ID_LENGTH + 3
+const ROUTE_DESTINATION_OFFSET = ROUTE_SOURCE_OFFSET + ROUTE_NODE_ID_LENGTH
+const ROUTE_COMMAND_OFFSET = ROUTE_DESTINATION_OFFSET + ROUTE_NODE_ID_LENGTH
+const ROUTE_KEY_OFFSET = ROUTE_COMMAND_OFFSET + 12
+const ROUTE_SIGNATURE_OFFSET = ROUTE_KEY_OFFSET + 44
+const ROUTE_HEADER_LENGTH = ROUTE_SIGNATURE_OFFSET + 64
+const ROUTE_DATA = 0
+const ROUTE_UNREACHABLE = 1
+
+// Routes longer than this count as unreachable, which also ends routing loops counting up their distance
+const MAX_ROUTE_HOPS = 16
+const NODE_ID_PATTERN = /^[0-9a-f]{64}$/
+
+// Published message envelope: 16 byte id, hop count, ttl, source id and length prefixed topic ahead of the data
+const PUBLISH_ID_LENGTH = 16
+const PUBLISH_SOURCE_OFFSET = PUBLISH_ID_LENGTH + 2
+const PUBLISH_TOPIC_OFFSET = PUBLISH_SOURCE_OFFSET + ROUTE_NODE_ID_LENGTH + 1
+const MAX_TOPIC_LENGTH = 255
+
+function routeTranscript (envelope) {
+  return Buffer.concat([
+    Buffer.from('peer-node route'),
+    envelope.slice(0, ROUTE_ID_LENGTH),
+    envelope.slice(ROUTE_ID_LENGTH + 1, ROUTE_SIGNATURE_OFFSET),
+    envelope.slice(ROUTE_HEADER_LENGTH)
+  ])
+}
 
-/**
- * Host identifier. Supports IPV4 and IPV6 and contains family, address, and port
- * @class
- * @memberof module:peer-node
- */
-class Host {
-  /**
-   * @constructor
-   * @param {String} address - IPV4 or IPv6 based address. "localhost" is translated to 127.0.0.1
-   * @param {Number} port - Port number on which to identify the host
-   * @returns {Object} Host Instance
-   */
-  constructor (address, port = 5744) {
-    // Accept a few shortcuts for local host
-    if (address.includes(['localhost'])) {
-      address = '127.0.0.1'
-    }
+// Routed messages name their source, which only counts once the key it signed with hashes to that id
+function verifyRoute (envelope, source) {
+  try {
+    const key = crypto.createPublicKey({ key: envelope.slice(ROUTE_KEY_OFFSET, ROUTE_SIGNATURE_OFFSET), format: 'der', type: 'spki' })
+      .export({ type: 'spki', format: 'pem' })
 
-    const version = net.isIP(address)
+    return Identity.idFromPublicKey(key) === source &&
+      Identity.verify(key, routeTranscript(envelope), envelope.slice(ROUTE_SIGNATURE_OFFSET, ROUTE_HEADER_LENGTH))
+  } catch (err) {
+    return false
+  }
+}
 
-    // Check family
-    if (version === 0) {
-      throw new Error('Unknown address family')
-    } else {
-      this._family = `IPv${version}`
-    }
+function isInternal (command) {
+  return INTERNAL_COMMANDS.includes(command) || STREAM_COMMANDS.includes(command)
+}
 
-    this._address = address
-    this._port = port
-  }
+// Each direction of a session counts its frames, the count is the nonce so no frame can be accepted twice
+function sessionNonce (sequence) {
+  const iv = Buffer.alloc(SESSION_IV_LENGTH)
 
-  /**
-   * Get the host address
-   * @returns Address String
-   */
-  get address () {
-    return this._address
-  }
+  iv.writeBigUInt64BE(sequence, SESSION_IV_LENGTH - 8)
 
-  /**
-   * Get the host port
-   * @returns Port Number
-   */
-  get port () {
-    return this._port
+  return iv
+}
+
+// Topics are dot separated, in subscriptions '*' stands for one segment and a trailing '#' for any number of them
+function topicMatches (pattern, topic) {
+  const patternSegments = pattern.split('.')
+  const topicSegments = topic.split('.')
+
+  for (let i = 0; i < patternSegments.length; i++) {
+    if (patternSegments[i] === '#') return true
+
+    if (i >= topicSegments.length || (patternSegments[i] !== '*' && patternSegments[i] !== topicSegments[i])) {
+      return false
+    }
   }
 
-  /**
-   * Get the family type of address
-   * @returns IPVv or IPv6
-   */
-  get family () {
-    return this._family
+  return patternSegments.length === topicSegments.length
+}
+
+function compress (algorithm, data) {
+  if (algorithm === 'brotli') {
+    // The default quality is meant for static assets and far too slow to spend on every frame
+    return zlib.brotliCompressSync(data, { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 4 } })
   }
 
-  /**
-   * Get the object summary of this host instance
-   * @returns Object containing address, family, and port of the host
-   */
-  get object () {
-    return {
-      address: this.address,
-      family: this.family,
-      port: this.port
-    }
+  return zlib.deflateRawSync(data)
+}
+
+function decompress (algorithm, data, maxOutputLength) {
+  if (algorithm === 'brotli') {
+    return zlib.brotliDecompressSync(data, { maxOutputLength })
   }
+
+  return zlib.inflateRawSync(data, { maxOutputLength })
 }
 
 /**
@@ -90,11 +178,45 @@ class Peer {
    * @constructor
    * @param {Host} Host object identifying the connection
    * @param {Number} [header=0xA27CC1A2] - 10 digit number identifying header of each message
-   * @param {Number} [bufferSize=10485760] - Size of the buffer used to process incoming messages
+   * @param {Number} [bufferSize=10485760] - Largest frame accepted, receive buffers only grow this large while such a frame arrives
    * @param {Number} [maxConnectionAttempts=10] - How many times the Peer should attempt to connect before giving up
+   * @param {Object} [options={}] - Additional Peer options
+   * @param {Object|Boolean} [options.reconnect] - Reconnect policy for outbound connections, false disables reconnecting
+   * @param {Number} [options.reconnect.initialDelay=100] - Milliseconds to wait before the first reconnect attempt
+   * @param {Number} [options.reconnect.multiplier=2] - Factor applied to the delay after every failed attempt
+   * @param {Number} [options.reconnect.jitter=0.2] - Random fraction (0 - 1) by which each delay is varied
+   * @param {Number} [options.reconnect.maxDelay=30000] - Upper bound of the delay between attempts
+   * @param {Number} [options.reconnect.maxAttempts=maxConnectionAttempts] - Consecutive failed attempts before giving up
+   * @param {Boolean} [options.reconnect.queue=false] - Queue messages sent while disconnected and flush them after reconnecting
+   * @param {Identity} [options.identity] - Identity proven to the remote during the handshake, generated when omitted
+   * @param {Number} [options.listenPort=null] - Port on which this side accepts connections, announced in the handshake
+   * @param {String} [options.userAgent] - Software name and version announced in the handshake
+   * @param {String[]} [options.capabilities] - Features offered to the remote, defaults to everything this version supports
+   * @param {Object|Boolean} [options.keepalive] - Keepalive settings once the handshake completed, false disables pings
+   * @param {Number} [options.keepalive.interval=30000] - Milliseconds between pings
+   * @param {Number} [options.keepalive.maxMissed=3] - Number of unanswered pings after which the connection is closed
+   * @param {Number} [options.maxFrameSize] - Largest frame data accepted, at most bufferSize minus the frame header
+   * @param {Object} [options.checksum] - Frame integrity check, { algorithm: 'sha256', length: 4 } by default or { algorithm: 'crc32c' }. Must match the remote
+   * @param {Boolean} [options.signatures=false] - Sign every frame after the handshake with our identity and require the remote to do the same
+   * @param {String|Buffer} [options.networkKey] - Secret shared by a private network, remotes that cannot prove they know it are rejected
+   * @param {Object} [options.protocolErrors] - What to do when the remote sends corrupt or invalid frames
+   * @param {String} [options.protocolErrors.policy='drop'] - 'drop' the frame, 'disconnect' the peer or 'ban' it once the threshold is reached
+   * @param {Number} [options.protocolErrors.threshold=10] - Number of protocol errors after which a peer is banned
+   * @param {Number} [options.protocolErrors.banDuration=3600000] - Milliseconds a banned peer stays banned
+   * @param {Object} [options.rateLimit] - Token bucket limits on what the remote sends, unlimited when omitted
+   * @param {Object} [options.rateLimit.messages] - { rate, burst } in frames per second, burst defaults to rate
+   * @param {Object} [options.rateLimit.bytes] - { rate, burst } in bytes per second, burst defaults to rate
+   * @param {String} [options.rateLimit.policy='throttle'] - 'throttle' stops reading from the remote until it is within its limits again, 'disconnect' closes the connection
+   * @param {Object} [options.tls] - Connect over TLS with these tls.connect options, such as key, cert and ca for mutual authentication
+   * @param {String|Object} [options.codec='raw'] - Payload codec of commands without their own definition: 'raw' Buffers, 'utf8', 'json', 'msgpack' or a registered codec
+   * @param {Object|Boolean} [options.compression=false] - Compress frames when the remote supports it too, true for the defaults
+   * @param {String[]} [options.compression.algorithms=['brotli', 'deflate']] - Algorithms offered to the remote, brotli is used when both sides offer it
+   * @param {Number} [options.compression.threshold=1024] - Smallest payload in bytes worth compressing
+   * @param {Object|Boolean} [options.reliable=false] - Keep messages until the remote acknowledged them and retransmit them after reconnecting, true for an in-memory outbox
+   * @param {Object} [options.reliable.store] - Outbox store such as a {@link module:peer-node.FileOutboxStore}, a MemoryOutboxStore when omitted
    * @returns Peer Instance
    */
-  constructor (host, header = 0xA27CC1A2, bufferSize = 10485760, maxConnectionAttemps = 10) {
+  constructor (host, header = 0xA27CC1A2, bufferSize = 10485760, maxConnectionAttempts = 10, options = {}) {
     this._host = host
     this._state = null
     this._header = header
@@ -104,121 +226,522 @@ class Peer {
     this._connectionAttempts = 0
     this._keypair = null
     this._remotePublicKey = null
-    this._maxConnectionAttempts = maxConnectionAttemps
+    this._session = null
+    this._sessionReady = null
+    this._resolveSession = null
+    this._maxConnectionAttempts = maxConnectionAttempts
+    this._handlers = {}
+    this._commands = new CommandRegistry(options.codec)
+    this._pendingRequests = {}
+    this._nextRequestId = 0
+    this._outgoingStreams = {}
+    this._incomingStreams = {}
+    this._nextStreamId = 0
+
+    this._identity = options.identity || new Identity()
+    this._id = null
+    this._nonce = null
+    this._remoteNonce = null
+    this._remoteIdentity = null
+    this._handshake = null
+    this._resolveHandshake = null
+
+    this._listenPort = options.listenPort || null
+    this._userAgent = options.userAgent || USER_AGENT
+    this._capabilities = options.capabilities || CAPABILITIES
+    this._remoteHello = null
+    this._pendingHello = null
+    this._goodbye = null
+
+    this._keepalive = options.keepalive === false ? false : Object.assign({ interval: 30000, maxMissed: 3 }, options.keepalive)
+    this._keepaliveTimer = null
+    this._pendingPing = null
+    this._missedPongs = 0
+    this._latency = null
+
+    this._decoder = null
+    this._maxFrameSize = options.maxFrameSize
+    this._checksum = options.checksum
+    this._signatures = options.signatures === true
+    this._networkKey = options.networkKey ? Buffer.from(options.networkKey) : null
+    this._protocolErrors = Object.assign({ policy: 'drop', threshold: 10, banDuration: 3600000 }, options.protocolErrors)
+    this._protocolErrorCount = 0
+
+    const rateLimit = options.rateLimit || {}
+
+    this._rateLimitPolicy = rateLimit.policy || 'throttle'
+    this._messageBucket = rateLimit.messages ? new TokenBucket(rateLimit.messages.rate, rateLimit.messages.burst) : null
+    this._byteBucket = rateLimit.bytes ? new TokenBucket(rateLimit.bytes.rate, rateLimit.bytes.burst) : null
+    this._throttleTimer = null
+
+    this._tls = options.tls || null
+
+    this._compression = options.compression
+      ? Object.assign({ algorithms: COMPRESSION_ALGORITHMS, threshold: COMPRESSION_THRESHOLD }, options.compression)
+      : false
+    this._compressionStats = {
+      sent: { frames: 0, bytes: 0, compressedBytes: 0 },
+      received: { frames: 0, bytes: 0, compressedBytes: 0 }
+    }
 
-    this._eventEmitter = new EventEmitter()
-  }
+    this._reliable = options.reliable
+      ? { store: options.reliable.store || new MemoryOutboxStore() }
+      : false
+    this._reliableOutbox = null
+    this._outboxReady = null
+    this._transmitting = false
+    this._acks = new Map()
+    this._unacknowledged = new Set()
+    this._received = new Map()
+    this._pendingAck = null
+    this._ackTimer = null
+
+    this._outbound = false
+    this._hasConnected = false
+    this._reconnectTimer = null
+    this._outbox = []
+    this._reconnect = options.reconnect === false
+      ? false
+      : Object.assign({
+        initialDelay: 100,
+        multiplier: 2,
+        jitter: 0.2,
+        maxDelay: 30000,
+        maxAttempts: maxConnectionAttempts,
+        queue: false
+      }, options.reconnect)
 
-  _calculateChecksum (command, data = null) {
-    return crypto.createHmac('sha256', command).update(data).digest('hex')
+    this._eventEmitter = new EventEmitter()
   }
 
   _socketEventConnect () {
+    const reconnected = this._hasConnected
+
     this._state = 'connected'
-    this._connectionAttempts = 0
-    this._eventEmitter.emit('connect', {
+    this._hasConnected = true
+
+    this._eventEmitter.emit(reconnected ? 'reconnected' : 'connect', {
       peer: this
     })
+
+    this._flushOutbox()
   }
 
   _socketEventData (data) {
-    // Add data to incoming buffer
-    if (data.length + this._inCursor > this._inBuffer.length) {
-      this._eventEmitter.emit('error', { peer: this, err: 'Peer exceeded max receiving buffer' })
-      this._inCursor = this._inBuffer.length + 1
-      return
+    if (this._byteBucket !== null && !this._rateLimit(this._byteBucket, 'bytes', data.length)) return
+
+    this._decoder.push(data)
+  }
+
+  _rateLimit (bucket, limit, amount) {
+    const delay = bucket.take(amount)
+
+    if (delay === 0) return true
+
+    if (this._rateLimitPolicy === 'disconnect') {
+      this._eventEmitter.emit('rateLimit', { peer: this, limit: limit, action: 'disconnect' })
+
+      if (this._state !== 'destroying' && this._state !== 'closed') {
+        this.destroy()
+      }
+
+      return false
     }
 
-    data.copy(this._inBuffer, this._inCursor)
-    this._inCursor += data.length
+    // Keep what already arrived but stop reading until the remote is back within its limits
+    if (this._throttleTimer === null && this._socket !== null) {
+      const stream = this._socket.stream
 
-    // Only process incoming buffer when we have 20 bytes or more
-    if (this._inCursor < 20) return
+      this._eventEmitter.emit('rateLimit', { peer: this, limit: limit, action: 'throttle', delay: delay })
 
-    // Split on header to sparate messages
-    let cursor = 0
-    let messageEnd = 0
+      stream.pause()
+      this._throttleTimer = setTimeout(() => {
+        this._throttleTimer = null
+        stream.resume()
+      }, delay)
+    }
 
-    while (cursor < this._inCursor) {
-      // Look for start of a message
-      if (this._inBuffer.readUInt32LE(cursor) === this._header) {
-        const messageStart = cursor
-        if (this._inCursor > messageStart + 16) {
-          const messageLength = this._inBuffer.readUInt32LE(messageStart + 16)
+    return true
+  }
 
-          if (this._inCursor >= messageStart + messageLength + 24) {
-            // Complete message, let's parse it
-            this._processMessage(this._inBuffer.slice(messageStart, messageStart + messageLength + 24))
-            messageEnd = messageStart + messageLength + 24
-          }
-          // Move to the next message
-          cursor += messageLength + 24
-        } else {
-          // Move to the end of processable data
-          cursor = this._inCursor
-        }
-      } else {
-        cursor++
+  _protocolError (data) {
+    if (this._state === 'destroying' || this._state === 'closed') return
+
+    this._protocolErrorCount++
+
+    this._eventEmitter.emit('protocolError', {
+      peer: this,
+      reason: data.reason,
+      count: this._protocolErrorCount
+    })
+
+    // Nothing more to do when dropping, the decoder already skipped the offending data
+    if (this._protocolErrors.policy === 'disconnect') {
+      this.destroy()
+    } else if (this._protocolErrors.policy === 'ban' && this._protocolErrorCount >= this._protocolErrors.threshold) {
+      this._eventEmitter.emit('banned', {
+        peer: this,
+        reason: data.reason,
+        duration: this._protocolErrors.banDuration
+      })
+
+      // A Node banning the peer in response already tore it down
+      if (this._state !== 'destroying' && this._state !== 'closed') {
+        this.destroy()
       }
     }
+  }
+
+  _handshakeViolation (reason) {
+    this._protocolError({ reason: reason })
 
-    // Remove processed message from the buffer
-    if (messageEnd > 0) {
-      this._inBuffer.copy(this._inBuffer, 0, messageEnd, this._inCursor)
-      this._inCursor -= messageEnd
+    // Whatever the policy, a remote breaking the handshake is not kept around
+    if (this._state !== 'destroying' && this._state !== 'closed') {
+      this.destroy()
     }
   }
 
   _socketEventEnd () {
-    this._eventEmitter.emit('end', { peer: this })
+    // A connection that is about to be re-established has not ended as far as listeners are concerned
+    if (!this._willReconnect()) {
+      this._eventEmitter.emit('end', { peer: this })
+    }
   }
 
   _socketEventError (err) {
-    if (this.state === 'connecting') {
-      this._connectionAttempts++
+    // Errors on outbound connections are retried once the socket closes, those after a goodbye are expected
+    if (!this._willReconnect() && this._goodbye === null) {
+      this._rejectPendingRequests(new Error('Peer connection error'))
+      this._abortStreams(new Error('Peer connection error'))
+      this._eventEmitter.emit('error', { peer: this, err: err })
+    }
+  }
+
+  _socketEventClose (socket) {
+    // Ignore sockets that were replaced or closed on purpose
+    if (this._socket === null || this._socket.stream !== socket) return
+
+    this._socket = null
+
+    if (this._willReconnect()) {
+      this._scheduleReconnect()
+    } else {
+      this._closed()
+    }
+  }
+
+  _willReconnect () {
+    return this._outbound &&
+      this._reconnect !== false &&
+      this._goodbye === null &&
+      (this._state === 'connecting' || this._state === 'connected') &&
+      this._connectionAttempts < this._reconnect.maxAttempts
+  }
+
+  _scheduleReconnect () {
+    const policy = this._reconnect
+    const delay = Math.min(policy.maxDelay, policy.initialDelay * Math.pow(policy.multiplier, this._connectionAttempts))
+    const jitteredDelay = Math.max(0, Math.round(delay * (1 + policy.jitter * (Math.random() * 2 - 1))))
+
+    this._connectionAttempts++
+    this._state = 'reconnecting'
+    this._transmitting = false
+    this._stopKeepalive()
+
+    // Stream ids only mean something on the connection they were opened on
+    this._abortStreams(new Error('Peer connection lost'))
+
+    // The next connection negotiates a fresh session, secure messages wait for it
+    this._session = null
+    this._remotePublicKey = null
 
-      // Reset the socket to try again
-      this._socket = null
+    if (this.keypair !== null && this._resolveSession === null) {
+      this._sessionReady = new Promise((resolve) => {
+        this._resolveSession = resolve
+      })
+    }
+
+    // The remote has to complete the handshake again as well
+    this._remoteIdentity = null
+    this._remoteNonce = null
+    this._remoteHello = null
+    this._pendingHello = null
+
+    this._eventEmitter.emit('reconnecting', {
+      peer: this,
+      attempt: this._connectionAttempts,
+      delay: jitteredDelay
+    })
 
+    this._reconnectTimer = setTimeout(() => {
+      this._reconnectTimer = null
       this.connect()
+    }, jitteredDelay)
+  }
+
+  _flushOutbox () {
+    const outbox = this._outbox
+    this._outbox = []
+
+    for (const queued of outbox) {
+      // Queued data was encoded when it was sent
+      this._send(queued.command, queued.data).then(queued.resolve)
+    }
+  }
+
+  async _resumeOutbox () {
+    const key = this.id
+
+    // The outbox belongs to the remote identity, which may have changed since the last connection
+    if (this._reliableOutbox === null || this._reliableOutbox.key !== key) {
+      const state = await this._reliable.store.load(key)
+
+      this._resolveAcks(false)
+      this._reliableOutbox = state === null
+        ? { key: key, epoch: crypto.randomBytes(RELIABLE_EPOCH_LENGTH).toString('hex'), sequence: 0, messages: [] }
+        : Object.assign({ key: key }, state)
+    }
+
+    // Remotes without reliable delivery keep our messages waiting until one that has it connects
+    if (this.id !== key || this._state !== 'connected' || !this.supports('reliable')) return
+
+    for (const message of this._reliableOutbox.messages) {
+      this._transmit(message)
+    }
+
+    this._transmitting = true
+  }
+
+  _saveOutbox () {
+    const outbox = this._reliableOutbox
+
+    return this._reliable.store.save(outbox.key, {
+      epoch: outbox.epoch,
+      sequence: outbox.sequence,
+      messages: outbox.messages
+    })
+  }
+
+  async _sendReliable (command, data) {
+    if (this._reliableOutbox === null && !(await this._handshake)) {
+      return false
+    }
+
+    await this._outboxReady
+
+    const outbox = this._reliableOutbox
+
+    if (outbox === null) {
+      return false
+    }
+
+    const message = { seq: ++outbox.sequence, command: command, data: data }
+    const acknowledged = new Promise((resolve) => this._acks.set(message.seq, resolve))
+
+    outbox.messages.push(message)
+
+    // Messages sent while the connection is down go out with the others once it has been re-established
+    if (this._transmitting) {
+      this._transmit(message)
+    }
+
+    await this._saveOutbox()
+
+    return acknowledged
+  }
+
+  _transmit (message) {
+    const header = Buffer.alloc(RELIABLE_HEADER_LENGTH)
+
+    header.write(this._reliableOutbox.epoch, 0, 'hex')
+    header.writeUInt32LE(message.seq, RELIABLE_EPOCH_LENGTH)
+    header.write(message.command.slice(0, 12), RELIABLE_EPOCH_LENGTH + 4)
+
+    this._send('RELIABLE', Buffer.concat([header, message.data]))
+  }
+
+  _processReliable (payload) {
+    const epoch = payload.slice(0, RELIABLE_EPOCH_LENGTH).toString('hex')
+    const seq = payload.readUInt32LE(RELIABLE_EPOCH_LENGTH)
+    const command = payload.slice(RELIABLE_EPOCH_LENGTH + 4, RELIABLE_HEADER_LENGTH).toString().replace(/\0+$/, '')
+    const received = this._received.get(this.id)
+
+    if (isInternal(command)) {
+      this._protocolError({ reason: `Received internal command ${command} as a reliable message` })
+      return
+    }
+
+    // Acknowledge duplicates too, the acknowledgement of the original may have been lost
+    this._scheduleAck(epoch, seq)
+
+    // A new epoch means the remote started over with a fresh outbox
+    if (received !== undefined && received.epoch === epoch && seq <= received.seq) return
+
+    this._received.set(this.id, { epoch: epoch, seq: seq })
+    this._deliver(command, payload.slice(RELIABLE_HEADER_LENGTH))
+  }
+
+  _scheduleAck (epoch, seq) {
+    this._pendingAck = { epoch: epoch, seq: seq }
+
+    // Acknowledgements are cumulative, one for everything received in the same tick will do
+    if (this._ackTimer === null) {
+      this._ackTimer = setImmediate(() => {
+        const ack = Buffer.alloc(RELIABLE_EPOCH_LENGTH + 4)
+
+        ack.write(this._pendingAck.epoch, 0, 'hex')
+        ack.writeUInt32LE(this._pendingAck.seq, RELIABLE_EPOCH_LENGTH)
+
+        this._ackTimer = null
+        this._pendingAck = null
+        this.send('ACK', ack)
+      })
     }
+  }
 
-    if (this.state !== 'connecting' || this._connectionAttempts >= this._maxConnectionAttemps) {
+  _processAck (payload) {
+    const outbox = this._reliableOutbox
+    const epoch = payload.slice(0, RELIABLE_EPOCH_LENGTH).toString('hex')
+    const seq = payload.readUInt32LE(RELIABLE_EPOCH_LENGTH)
+
+    if (outbox === null || outbox.epoch !== epoch || outbox.key !== this.id) return
+
+    const acknowledged = outbox.messages.filter((message) => message.seq <= seq)
+
+    if (acknowledged.length === 0) return
+
+    outbox.messages = outbox.messages.filter((message) => message.seq > seq)
+
+    Promise.resolve(this._saveOutbox()).catch((err) => {
       this._eventEmitter.emit('error', { peer: this, err: err })
+    })
+
+    for (const message of acknowledged) {
+      const resolve = this._acks.get(message.seq)
+
+      if (resolve !== undefined) {
+        this._acks.delete(message.seq)
+        resolve(true)
+      }
+    }
+  }
+
+  _resolveAcks (acknowledged) {
+    for (const resolve of this._acks.values()) {
+      resolve(acknowledged)
     }
+
+    this._acks.clear()
   }
 
-  _socketEventClose (err) {
+  _closed (err) {
     this._state = 'closed'
+    this._stopKeepalive()
+    this._rejectPendingRequests(new Error('Peer connection closed'))
+    this._abortStreams(new Error('Peer connection closed'))
+
+    if (this._reconnectTimer !== null) {
+      clearTimeout(this._reconnectTimer)
+      this._reconnectTimer = null
+    }
+
+    if (this._throttleTimer !== null) {
+      clearTimeout(this._throttleTimer)
+      this._throttleTimer = null
+    }
+
+    // Release anything still waiting on a session or identity that will never be established
+    if (this._resolveSession !== null) {
+      this._resolveSession(false)
+      this._resolveSession = null
+    }
+
+    if (this._resolveHandshake !== null) {
+      this._resolveHandshake(false)
+      this._resolveHandshake = null
+    }
+
+    for (const queued of this._outbox) {
+      queued.resolve(false)
+    }
+    this._outbox = []
+
+    // Unacknowledged messages stay in the outbox store for the next connection to the same remote
+    this._transmitting = false
+    this._resolveAcks(false)
+
+    if (this._ackTimer !== null) {
+      clearImmediate(this._ackTimer)
+      this._ackTimer = null
+    }
+
     this._eventEmitter.emit('close', { peer: this, err: err })
   }
 
   /**
-   * Connect to the host peer. Fires the 'connect' event on success (of new connection only)
+   * Connect to the host peer. Fires the 'connect' event on success (of new connection only) and 'reconnected' when an
+   * outbound connection has been re-established
    * @param {Socket} [socket=null] - Pass in an already connected socket or the default will make a fresh connection
    * @returns {Socket} Socket reference stored in the Peer
    */
   async connect (socket = null) {
-    this._inBuffer = Buffer.alloc(this._bufferSize)
-    this._inCursor = 0
-
     if (this._socket === null) {
+      this._goodbye = null
+      this._pendingHello = null
+      this._remotePublicKey = null
+      this._session = null
+      this._decoder = new FrameDecoder(this._header, this._bufferSize, {
+        maxFrameSize: this._maxFrameSize,
+        checksum: this._checksum
+      })
+      this._decoder.on('frame', this._processMessage.bind(this))
+      this._decoder.on('protocolError', this._protocolError.bind(this))
+
       if (socket === null) {
+        this._outbound = true
         this._state = 'connecting'
-        socket = net.createConnection(this._host.port, this._host.address, this._socketEventConnect.bind(this))
+        socket = getTransport(this._host.transport).connect(this._host, { tls: this._tls }, this._socketEventConnect.bind(this))
       } else {
         this._state = 'connected'
+        this._hasConnected = true
       }
 
       socket.on('data', this._socketEventData.bind(this))
       socket.on('error', this._socketEventError.bind(this))
+      socket.on('end', this._socketEventEnd.bind(this))
+      socket.on('close', this._socketEventClose.bind(this, socket))
 
       this._socket = new PromiseSocket(socket)
 
+      // Messages wait until the handshake on this connection has completed
+      this._nonce = crypto.randomBytes(32)
+
+      if (this._resolveHandshake === null) {
+        this._handshake = new Promise((resolve) => {
+          this._resolveHandshake = resolve
+        })
+      }
+
       // If we have a keypair, then let's negotiate
       if (this.keypair !== null) {
-        await this.send('SECURE', this.keypair.public)
+        if (this._hasConnected || this._connectionAttempts > 0) {
+          this._createKeypair()
+        }
+
+        // Not awaited, so our HELLO waits for the session ahead of any HELLO-ACK answering the remote
+        this.send('SECURE', this.keypair.public)
       }
+
+      this.send('HELLO', JSON.stringify({
+        version: PROTOCOL_VERSION,
+        minVersion: MIN_PROTOCOL_VERSION,
+        key: this._identity.publicKey,
+        nonce: this._nonce.toString('hex'),
+        port: this._listenPort,
+        userAgent: this._userAgent,
+        capabilities: this._capabilities,
+        compression: this._compression === false ? [] : this._compression.algorithms
+      }))
     }
 
     return this._socket
@@ -235,240 +758,2125 @@ class Peer {
    * Disconnect from the Peer. Fires the 'close' event on success
    */
   async disconnect () {
+    const socket = this._socket
+
     this._state = 'disconnecting'
-    await this._socket.end()
-    this._socketEventClose()
-  }
+    this._socket = null
 
-  /**
-   * Destroy the Peer connection. Fires the 'close' event on success
-   */
-  async destroy () {
-    this._state = 'destroying'
-    await this._socket.destroy()
-    this._socketEventClose()
-  }
+    if (socket !== null) {
+      // A socket that already failed is closed all the same
+      await socket.end().catch(() => socket.destroy())
+    }
 
-  /**
-   * Generate a key pair for this Peer communication. This must occur prior to connecting to the Peer
-   */
-  generateKeypair () {
-    if (this.state === null) {
-      this._keypair = keypair()
-    } else {
-      throw new Error('Cannot generate keypair after connection')
+    // Unless the connection was destroyed in the meantime, which closed it already
+    if (this._state === 'disconnecting') {
+      this._closed()
     }
   }
 
   /**
-   * Get this Peer's hash value
+   * Say goodbye to the remote and close the connection once everything sent before has gone out, in reliable mode
+   * once it has been acknowledged too. The remote fires 'goodbye' with the reason and does not reconnect. Connections
+   * that take longer than the timeout are destroyed
+   * @param {String} [reason='shutdown'] - Reason given to the remote
+   * @param {Object} [options={}] - Goodbye options
+   * @param {Number} [options.timeout=5000] - Milliseconds to wait before destroying the connection
    */
-  get hash () {
-    return this._hash
-  }
+  async goodbye (reason = 'shutdown', { timeout = 5000 } = {}) {
+    if (this._state === null || this._state === 'closed') return
 
-  /**
-   * Set the has value of this Peer
-   */
-  set hash (hash) {
-    this._hash = hash
-  }
+    // Nobody to say goodbye to before the remote has proven who it is
+    if (this._state !== 'connected' || this._resolveHandshake !== null) {
+      await this.destroy()
+      return
+    }
 
-  /**
-   * Get the key pair for this side of the Peer connection
-   */
-  get keypair () {
-    return this._keypair
-  }
+    // The connection is going away, whatever goes wrong with it from here on is no error
+    this._goodbye = reason
 
-  /**
-   * Get the remote public key for this Peer connection
-   */
-  get remotePublicKey () {
-    return this._remotePublicKey
-  }
+    let timer
+    const expired = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(false), timeout)
+    })
+    const flushed = Promise.all(Array.from(this._unacknowledged, (sent) => sent.catch(() => false)))
+      .then(() => this.send('BYE', reason))
 
-  _processMessage (message) {
-    const messageLength = message.readUInt32LE(16)
+    const graceful = await Promise.race([flushed, expired])
 
-    // Get command
-    let command = []
-    for (let i = 0; i < 12; i++) {
-      const s = message[i + 4]
-      if (s > 0) {
-        command.push(String.fromCharCode(s))
-      }
+    if (this._state === 'closed') {
+      clearTimeout(timer)
+      return
     }
-    command = command.join('')
 
-    const checksum = message.readUInt32BE(20)
-    let payload
+    if (!graceful) {
+      clearTimeout(timer)
+      await this.destroy()
+      return
+    }
 
-    if (messageLength > 0) {
-      payload = Buffer.alloc(messageLength)
-      message.copy(payload, 0, 24)
-      const checksumVerification = Buffer.from(this._calculateChecksum(command, payload))
+    // Closing has to make the deadline too, a remote that stopped reading never lets the socket finish
+    const socket = this._socket
+    const closed = await Promise.race([this.disconnect().then(() => true), expired])
 
-      // Check the checksum for verification
-      if (checksum !== checksumVerification.readUInt32BE(0)) {
-        // Do not process a valid message
-        payload = null
-      }
-    } else {
-      payload = Buffer.alloc(0)
-    }
+    clearTimeout(timer)
 
-    if (payload !== null) {
-      // If our command is SECURE, then do not send an event and manage the remote public key here
-      if (command === 'SECURE') {
-        this._remotePublicKey = payload.toString()
-      } else {
-        // Do we need to decrypt the payload?
-        if (this._remotePublicKey !== null) {
-          try {
-            payload = crypto.publicDecrypt(this._remotePublicKey, payload)
-          } catch (err) {
-            payload = payload.toString()
-          }
-        }
+    if (!closed && this._state === 'disconnecting') {
+      this._state = 'destroying'
 
-        this._eventEmitter.emit('message', {
-          peer: this,
-          command: command,
-          data: payload
-        })
+      if (socket !== null) {
+        await socket.destroy()
       }
+
+      this._closed()
     }
   }
 
-  /**
-   * Attach to a peer event
-   * @param {String} event - Event string on which to attach
-   * @param {Function} callback - Function to execute when event is emitted
-   */
-  on (event, callback) {
-    this._eventEmitter.on(event, callback)
+  _processBye (payload) {
+    this._goodbye = payload.toString()
+
+    // The remote closes the connection itself, there is nothing to retry
+    this._eventEmitter.emit('goodbye', { peer: this, reason: this._goodbye })
   }
 
   /**
-   * Send a command and data packet to the connected Peer
-   * @param {String} command - Maximum 12 characters command string
-   * @param {String} [data=null] - Data string to send to the connected Peer
-   * @returns {Boolean} Success state of sending the data packet
+   * Destroy the Peer connection. Fires the 'close' event on success
    */
-  async send (command, data = null) {
-    if (data === null) {
-      data = Buffer.alloc(0)
-    } else {
-      data = Buffer.from(data)
+  async destroy () {
+    const socket = this._socket
+
+    this._state = 'destroying'
+    this._socket = null
+
+    if (socket !== null) {
+      await socket.destroy()
+    }
+
+    this._closed()
+  }
+
+  _createKeypair () {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('x25519')
+
+    this._keypair = {
+      public: publicKey.export({ type: 'spki', format: 'pem' }),
+      private: privateKey.export({ type: 'pkcs8', format: 'pem' })
+    }
+
+    // Messages already waiting on a previous connection keep waiting for this session
+    if (this._resolveSession === null) {
+      this._sessionReady = new Promise((resolve) => {
+        this._resolveSession = resolve
+      })
+    }
+  }
+
+  _establishSession () {
+    const secret = crypto.diffieHellman({
+      privateKey: crypto.createPrivateKey(this.keypair.private),
+      publicKey: crypto.createPublicKey(this._remotePublicKey)
+    })
+
+    // Both sides order the public keys the same way so they agree on salt and key direction
+    const publicKeys = [this.keypair.public, this._remotePublicKey].sort()
+    const salt = crypto.createHash('sha256').update(publicKeys.join('')).digest()
+    const material = Buffer.from(crypto.hkdfSync('sha256', secret, salt, SESSION_INFO, 64))
+    const first = publicKeys[0] === this.keypair.public
+
+    this._session = {
+      sendKey: first ? material.slice(0, 32) : material.slice(32),
+      receiveKey: first ? material.slice(32) : material.slice(0, 32),
+      sendSequence: 0n,
+      receiveSequence: 0n
+    }
+  }
+
+  _encrypt (command, data) {
+    const iv = sessionNonce(this._session.sendSequence++)
+    const cipher = crypto.createCipheriv(SESSION_CIPHER, this._session.sendKey, iv, { authTagLength: SESSION_TAG_LENGTH })
+
+    // Bind the command to the ciphertext so it cannot be swapped in transit
+    cipher.setAAD(Buffer.from(command.slice(0, 12)))
+
+    return Buffer.concat([iv, cipher.update(data), cipher.final(), cipher.getAuthTag()])
+  }
+
+  _decrypt (command, data) {
+    if (data.length < SESSION_IV_LENGTH + SESSION_TAG_LENGTH) {
+      throw new Error('Encrypted payload is too short')
+    }
+
+    const iv = data.slice(0, SESSION_IV_LENGTH)
+    const tag = data.slice(data.length - SESSION_TAG_LENGTH)
+
+    // Frames arrive in the order they were sent, anything else was replayed, reordered or dropped on the way
+    if (!iv.equals(sessionNonce(this._session.receiveSequence))) {
+      throw new Error('Unexpected frame sequence')
+    }
+
+    const decipher = crypto.createDecipheriv(SESSION_CIPHER, this._session.receiveKey, iv, { authTagLength: SESSION_TAG_LENGTH })
+
+    decipher.setAAD(Buffer.from(command))
+    decipher.setAuthTag(tag)
+
+    const plaintext = Buffer.concat([decipher.update(data.slice(SESSION_IV_LENGTH, data.length - SESSION_TAG_LENGTH)), decipher.final()])
+
+    this._session.receiveSequence++
+
+    return plaintext
+  }
+
+  _identityTranscript (verifierNonce, proverNonce) {
+    let binding = Buffer.alloc(0)
+
+    // Tie the proof to this session so it cannot be relayed into another one
+    if (this._session !== null) {
+      binding = crypto.createHash('sha256').update([this.keypair.public, this._remotePublicKey].sort().join('')).digest()
+    }
+
+    return Buffer.concat([Buffer.from(IDENTITY_LABEL), verifierNonce, proverNonce, binding])
+  }
+
+  _networkProof (transcript) {
+    return crypto.createHmac('sha256', this._networkKey).update(NETWORK_KEY_LABEL).update(transcript).digest()
+  }
+
+  async _reject (reason) {
+    this._eventEmitter.emit('error', { peer: this, err: reason })
+
+    // Tell the remote why before hanging up so it does not simply retry, unless that would wait on a session that never came
+    if (this.keypair === null || this._session !== null) {
+      await this.send('REJECT', reason)
+    }
+
+    await this.disconnect()
+  }
+
+  async _processHello (payload) {
+    let hello
+    let id
+
+    // A remote gets to claim an identity once per connection
+    if (this._pendingHello !== null) {
+      this._handshakeViolation('Received a second HELLO')
+      return
+    }
+
+    try {
+      hello = JSON.parse(payload.toString())
+      id = Identity.idFromPublicKey(hello.key)
+      this._remoteNonce = Buffer.from(hello.nonce, 'hex')
+    } catch (err) {
+      this._reject('Invalid handshake')
+      return
+    }
+
+    if (!Number.isInteger(hello.version) || hello.version < MIN_PROTOCOL_VERSION || hello.minVersion > PROTOCOL_VERSION) {
+      this._reject(`Incompatible protocol version ${hello.version}, supported ${MIN_PROTOCOL_VERSION} - ${PROTOCOL_VERSION}`)
+      return
+    }
+
+    const capabilities = Array.isArray(hello.capabilities) ? hello.capabilities : []
+    const compression = Array.isArray(hello.compression) ? hello.compression : []
+
+    // Holding a keypair means the connection is encrypted, a remote that cannot take part is turned away
+    if (this.keypair !== null && !capabilities.includes('encryption')) {
+      this._reject('Remote does not support encryption')
+      return
+    }
+    const algorithms = this._compression === false ? [] : this._compression.algorithms
+
+    // Nothing the remote claims is taken as true until it proved it holds the identity key
+    this._pendingHello = {
+      id: id,
+      key: hello.key,
+      hello: {
+        version: Math.min(PROTOCOL_VERSION, hello.version),
+        port: Number.isInteger(hello.port) ? hello.port : null,
+        userAgent: String(hello.userAgent),
+        capabilities: this._capabilities.filter((capability) => capabilities.includes(capability)),
+        compression: COMPRESSION_ALGORITHMS.find((algorithm) => algorithms.includes(algorithm) && compression.includes(algorithm)) || null
+      }
+    }
+
+    // Sign only once the session exists so both sides agree on the transcript
+    if (this.keypair !== null && !(await this._sessionReady)) return
+
+    const transcript = this._identityTranscript(this._remoteNonce, this._nonce)
+    let ack = this._identity.sign(transcript)
+
+    // Answer the challenge of the remote nonce without revealing the network key itself
+    if (this._networkKey !== null) {
+      ack = Buffer.concat([ack, this._networkProof(transcript)])
+    }
+
+    this.send('HELLO-ACK', ack)
+  }
+
+  _processHelloAck (payload) {
+    const pending = this._pendingHello
+
+    if (pending === null) {
+      this._reject('Unable to verify peer identity')
+      return
+    }
+
+    // With a keypair of our own only a proof bound to the session counts, one without it could have been relayed
+    if (this.keypair !== null && this._session === null) {
+      this._reject('Handshake without a secure session')
+      return
+    }
+
+    const transcript = this._identityTranscript(this._nonce, this._remoteNonce)
+    const signature = payload.slice(0, IDENTITY_SIGNATURE_LENGTH)
+
+    if (!Identity.verify(pending.key, transcript, signature)) {
+      this._reject('Unable to verify peer identity')
+      return
+    }
+
+    if (this._networkKey !== null) {
+      const proof = payload.slice(IDENTITY_SIGNATURE_LENGTH)
+      const expected = this._networkProof(transcript)
+
+      if (proof.length !== expected.length || !crypto.timingSafeEqual(proof, expected)) {
+        this._reject('Network key mismatch')
+        return
+      }
+    }
+
+    this._id = pending.id
+    this._remoteIdentity = pending.key
+    this._remoteHello = pending.hello
+
+    // Only a completed handshake counts as a successful attempt, remotes accepting and dropping the socket do not
+    this._connectionAttempts = 0
+
+    // Messages still waiting for an acknowledgement go out again before anything new
+    if (this._reliable !== false) {
+      this._outboxReady = this._resumeOutbox().catch((err) => {
+        this._eventEmitter.emit('error', { peer: this, err: err })
+      })
+    }
+
+    if (this._resolveHandshake !== null) {
+      this._resolveHandshake(true)
+      this._resolveHandshake = null
+    }
+
+    this._startKeepalive()
+
+    this._eventEmitter.emit('handshake', {
+      peer: this,
+      id: this.id,
+      version: this.protocolVersion,
+      userAgent: this.userAgent,
+      capabilities: this.capabilities
+    })
+  }
+
+  _startKeepalive () {
+    if (this._keepalive === false || this._keepaliveTimer !== null || !this.supports('keepalive')) return
+
+    this._pendingPing = null
+    this._missedPongs = 0
+    this._keepaliveTimer = setInterval(this._keepaliveTick.bind(this), this._keepalive.interval)
+  }
+
+  _stopKeepalive () {
+    if (this._keepaliveTimer !== null) {
+      clearInterval(this._keepaliveTimer)
+      this._keepaliveTimer = null
+    }
+  }
+
+  _keepaliveTick () {
+    if (this._pendingPing !== null) {
+      this._missedPongs++
+
+      if (this._missedPongs >= this._keepalive.maxMissed) {
+        this._stopKeepalive()
+        this._eventEmitter.emit('timeout', { peer: this, missed: this._missedPongs })
+
+        // Treat the connection as dead, outbound peers reconnect as they would after any other drop
+        if (this._socket !== null) {
+          this._socket.stream.destroy()
+        }
+        return
+      }
+    }
+
+    // The ping carries its own send time so the pong tells us the round trip
+    this._pendingPing = Buffer.alloc(8)
+    this._pendingPing.writeBigUInt64LE(process.hrtime.bigint())
+
+    this.send('PING', this._pendingPing)
+  }
+
+  _processPong (payload) {
+    if (this._pendingPing === null || !payload.equals(this._pendingPing)) return
+
+    const sample = Number(process.hrtime.bigint() - payload.readBigUInt64LE(0)) / 1e6
+
+    // Smooth the round trip time the same way TCP does
+    this._latency = this._latency === null ? sample : this._latency * 0.875 + sample * 0.125
+    this._pendingPing = null
+    this._missedPongs = 0
+  }
+
+  _processReject (payload) {
+    this._eventEmitter.emit('error', { peer: this, err: `Rejected by remote: ${payload.toString()}` })
+    this.destroy()
+  }
+
+  /**
+   * Generate an ephemeral key pair for this Peer communication. This must occur prior to connecting to the Peer.
+   * Once both sides have exchanged public keys a session key is derived and every message is encrypted and authenticated
+   */
+  generateKeypair () {
+    if (this.state === null) {
+      this._createKeypair()
+    } else {
+      throw new Error('Cannot generate keypair after connection')
+    }
+  }
+
+  /**
+   * Register a handler answering requests for a command made with {@link module:peer-node.Peer#request}
+   * @param {String} command - Maximum 12 characters command string
+   * @param {Function} handler - Called with (data, peer), its (async) return value String or Buffer is sent back as the reply
+   */
+  handle (command, handler) {
+    this._handlers[command] = handler
+  }
+
+  /**
+   * Choose the codec of a command and validate its payloads. Payloads failing to decode or validate are dropped with
+   * an 'invalid' event instead of reaching 'message' and 'command:NAME' listeners
+   * @param {String} command - Maximum 12 characters command string
+   * @param {Object} definition - Command definition
+   * @param {String|Object} [definition.codec] - Codec name or implementation, the default codec when omitted
+   * @param {Function} [definition.validate] - Called with the decoded payload, returning false or throwing rejects it
+   */
+  defineCommand (command, definition) {
+    this._commands.define(command, definition)
+  }
+
+  /**
+   * Get this Peer's hash value
+   */
+  get hash () {
+    return this._hash
+  }
+
+  /**
+   * Set the has value of this Peer
+   */
+  set hash (hash) {
+    this._hash = hash
+  }
+
+  /**
+   * Get the capabilities both sides of the connection support, available once the 'handshake' event has fired
+   */
+  get capabilities () {
+    return this._remoteHello === null ? [] : this._remoteHello.capabilities
+  }
+
+  /**
+   * Get the id of the remote identity, available once the 'handshake' event has fired
+   */
+  get id () {
+    return this._id
+  }
+
+  /**
+   * Get the software name and version the remote announced
+   */
+  get userAgent () {
+    return this._remoteHello === null ? null : this._remoteHello.userAgent
+  }
+
+  /**
+   * Get the identity this side of the Peer connection proves to the remote
+   */
+  get identity () {
+    return this._identity
+  }
+
+  /**
+   * Get the smoothed round trip time to the remote in milliseconds, null until the first pong arrived
+   */
+  get latency () {
+    return this._latency
+  }
+
+  /**
+   * Get the compression algorithm negotiated with the remote, null when frames are sent uncompressed
+   */
+  get compression () {
+    return this._remoteHello === null ? null : this._remoteHello.compression
+  }
+
+  /**
+   * Get the number of frames compressed in each direction, their bytes before and after compression and the bytes saved
+   */
+  get compressionStats () {
+    const summary = (stats) => Object.assign({ saved: stats.bytes - stats.compressedBytes }, stats)
+
+    return {
+      algorithm: this.compression,
+      sent: summary(this._compressionStats.sent),
+      received: summary(this._compressionStats.received)
+    }
+  }
+
+  /**
+   * Get the protocol version negotiated with the remote
+   */
+  get protocolVersion () {
+    return this._remoteHello === null ? null : this._remoteHello.version
+  }
+
+  /**
+   * Get the port on which the remote accepts connections, if it announced one
+   */
+  get remoteListenPort () {
+    return this._remoteHello === null ? null : this._remoteHello.port
+  }
+
+  /**
+   * Get the key pair for this side of the Peer connection
+   */
+  get keypair () {
+    return this._keypair
+  }
+
+  /**
+   * Get the certificate the remote presented over TLS, null on plain connections
+   */
+  get certificate () {
+    if (this._socket === null || !(this._socket.stream instanceof tls.TLSSocket)) return null
+
+    return this._socket.stream.getPeerCertificate()
+  }
+
+  /**
+   * Get the remote public key for this Peer connection
+   */
+  get remotePublicKey () {
+    return this._remotePublicKey
+  }
+
+  /**
+   * Whether a session key has been established and messages are encrypted
+   */
+  get secure () {
+    return this._session !== null
+  }
+
+  _rejectPendingRequests (err) {
+    for (const id in this._pendingRequests) {
+      const pending = this._pendingRequests[id]
+
+      clearTimeout(pending.timer)
+      delete this._pendingRequests[id]
+      pending.reject(err)
+    }
+  }
+
+  _abortStreams (err) {
+    for (const id in this._outgoingStreams) {
+      this._finishOutgoingStream(id, err)
+    }
+
+    for (const id in this._incomingStreams) {
+      const entry = this._incomingStreams[id]
+
+      delete this._incomingStreams[id]
+      entry.stream.destroy(err)
+    }
+  }
+
+  _streamFrame (id, size) {
+    const frame = Buffer.alloc(4 + size)
+    frame.writeUInt32LE(id, 0)
+
+    return frame
+  }
+
+  _finishOutgoingStream (id, err = null) {
+    const entry = this._outgoingStreams[id]
+
+    if (entry === undefined) return
+
+    delete this._outgoingStreams[id]
+    entry.cancelled = err !== null
+    entry.wake()
+
+    if (err === null) {
+      entry.resolve(true)
+    } else {
+      entry.source.destroy()
+      entry.reject(err)
+    }
+  }
+
+  async _pumpStream (id, entry) {
+    let sequence = 0
+
+    try {
+      for await (let chunk of entry.source) {
+        chunk = Buffer.from(chunk)
+
+        for (let offset = 0; offset < chunk.length; offset += entry.chunkSize) {
+          // Wait for the receiver to make room for more chunks
+          while (entry.credits === 0 && !entry.cancelled) {
+            await new Promise((resolve) => { entry.wake = resolve })
+          }
+
+          if (entry.cancelled) return
+
+          const frame = this._streamFrame(id, 4)
+          frame.writeUInt32LE(sequence++, 4)
+          entry.credits--
+
+          if (!(await this.send('STREAMDATA', Buffer.concat([frame, chunk.slice(offset, offset + entry.chunkSize)])))) {
+            this._finishOutgoingStream(id, new Error('Stream could not be sent'))
+            return
+          }
+        }
+      }
+    } catch (err) {
+      // The source failed or was destroyed by the caller, let the receiver know
+      if (!entry.cancelled) {
+        this._cancelStream(id, STREAM_SENDER, err.message || 'Stream source failed')
+        this._finishOutgoingStream(id, err)
+      }
+      return
+    }
+
+    if (entry.cancelled) return
+
+    const end = this._streamFrame(id, 4)
+    end.writeUInt32LE(sequence, 4)
+
+    await this.send('STREAMEND', end)
+    this._finishOutgoingStream(id)
+  }
+
+  _cancelStream (id, side, reason) {
+    const frame = this._streamFrame(id, 1)
+    frame.writeUInt8(side, 4)
+
+    this.send('STREAMCANCEL', Buffer.concat([frame, Buffer.from(reason)]))
+  }
+
+  _processStream (command, payload) {
+    if (payload.length < 4) return
+
+    const id = payload.readUInt32LE(0)
+
+    if (command === 'STREAM' && payload.length >= 16) {
+      // A sender reusing the id of an open stream has lost track of it, neither stream can be trusted
+      if (this._incomingStreams[id] !== undefined) {
+        this._incomingStreams[id].stream.destroy(new Error('Stream id reused by remote'))
+        return
+      }
+
+      const entry = { sequence: 0, credits: STREAM_WINDOW, owed: 0, ended: false }
+
+      entry.stream = new Readable({
+        read: () => {
+          // Hand out credit for every chunk the reader has taken off our hands
+          if (entry.owed > 0 && this._incomingStreams[id] === entry) {
+            const credit = this._streamFrame(id, 4)
+            credit.writeUInt32LE(entry.owed, 4)
+            entry.credits += entry.owed
+            entry.owed = 0
+
+            this.send('STREAMCREDIT', credit)
+          }
+        },
+        destroy: (err, callback) => {
+          // Destroying an unfinished stream cancels the transfer at the sender
+          if (this._incomingStreams[id] === entry) {
+            delete this._incomingStreams[id]
+            this._cancelStream(id, STREAM_RECEIVER, err ? err.message : 'Stream cancelled by receiver')
+          }
+
+          callback(err)
+        }
+      })
+
+      this._incomingStreams[id] = entry
+
+      this._eventEmitter.emit('stream', {
+        peer: this,
+        command: payload.slice(4, 16).toString().replace(/\0+$/, ''),
+        id: id,
+        stream: entry.stream
+      })
+    } else if (command === 'STREAMDATA' && payload.length >= 8) {
+      const entry = this._incomingStreams[id]
+
+      if (entry === undefined) return
+
+      if (payload.readUInt32LE(4) !== entry.sequence) {
+        entry.stream.destroy(new Error('Stream chunk out of sequence'))
+        return
+      }
+
+      // Chunks beyond the credit we granted would pile up in memory
+      if (entry.credits === 0) {
+        entry.stream.destroy(new Error('Stream chunk beyond the granted credit'))
+        return
+      }
+
+      entry.sequence++
+      entry.credits--
+      entry.owed++
+      entry.stream.push(payload.slice(8))
+    } else if (command === 'STREAMEND' && payload.length >= 8) {
+      const entry = this._incomingStreams[id]
+
+      if (entry === undefined) return
+
+      delete this._incomingStreams[id]
+
+      if (payload.readUInt32LE(4) !== entry.sequence) {
+        entry.stream.destroy(new Error('Stream ended with missing chunks'))
+      } else {
+        entry.stream.push(null)
+      }
+    } else if (command === 'STREAMCREDIT' && payload.length >= 8) {
+      const entry = this._outgoingStreams[id]
+
+      if (entry === undefined) return
+
+      entry.credits += payload.readUInt32LE(4)
+      entry.wake()
+    } else if (command === 'STREAMCANCEL' && payload.length >= 5) {
+      const reason = payload.slice(5).toString()
+
+      if (payload.readUInt8(4) === STREAM_RECEIVER) {
+        this._finishOutgoingStream(id, new Error(`Stream cancelled by remote: ${reason}`))
+      } else {
+        const entry = this._incomingStreams[id]
+
+        if (entry !== undefined) {
+          delete this._incomingStreams[id]
+          entry.stream.destroy(new Error(`Stream cancelled by remote: ${reason}`))
+        }
+      }
+    }
+  }
+
+  async _processRequest (payload) {
+    const id = payload.readUInt32LE(0)
+    const command = payload.slice(4, 16).toString().replace(/\0+$/, '')
+    const data = payload.slice(16)
+    const handler = this._handlers[command]
+    let status = RESPONSE_OK
+    let reply
+
+    try {
+      if (!this.supports('requests')) {
+        throw new Error('Requests not supported')
+      }
+
+      if (handler === undefined) {
+        throw new Error(`No handler for command ${command}`)
+      }
+
+      reply = await handler(data, this)
+
+      // Replies the handler cannot have meant to send, such as numbers or plain objects, fail like the handler did
+      reply = (reply === undefined || reply === null) ? Buffer.alloc(0) : Buffer.from(reply)
+    } catch (err) {
+      status = RESPONSE_ERROR
+      reply = Buffer.from(err instanceof Error ? err.message : String(err))
+    }
+
+    const response = Buffer.alloc(5)
+    response.writeUInt32LE(id, 0)
+    response.writeUInt8(status, 4)
+
+    await this.send('RESPONSE', Buffer.concat([response, reply]))
+  }
+
+  _processResponse (payload) {
+    const id = payload.readUInt32LE(0)
+    const pending = this._pendingRequests[id]
+
+    // The request already timed out or was never made, nothing to resolve
+    if (pending === undefined) return
+
+    clearTimeout(pending.timer)
+    delete this._pendingRequests[id]
+
+    if (payload.readUInt8(4) === RESPONSE_OK) {
+      pending.resolve(payload.slice(5))
+    } else {
+      pending.reject(new Error(payload.slice(5).toString()))
+    }
+  }
+
+  _decompress (payload) {
+    if (this.compression === null) {
+      throw new Error('compression was not negotiated')
+    }
+
+    // Never inflate beyond what an uncompressed frame could have carried
+    const data = decompress(this.compression, payload, this._bufferSize)
+
+    this._compressionStats.received.frames++
+    this._compressionStats.received.bytes += data.length
+    this._compressionStats.received.compressedBytes += payload.length
+
+    return data
+  }
+
+  _compress (data) {
+    const compressed = compress(this.compression, data)
+
+    // Data that does not shrink is sent as it is
+    if (compressed.length >= data.length) return null
+
+    this._compressionStats.sent.frames++
+    this._compressionStats.sent.bytes += data.length
+    this._compressionStats.sent.compressedBytes += compressed.length
+
+    return compressed
+  }
+
+  _verifyFrame (frame) {
+    let reason = null
+
+    // The handshake authenticates itself, signatures start once the remote identity is known
+    if (HANDSHAKE_COMMANDS.includes(frame.command)) return true
+
+    if (frame.signature === null) {
+      if (!this._signatures) return true
+
+      reason = 'Missing signature'
+    } else if (this._remoteIdentity === null) {
+      reason = 'Signed before the remote identity is known'
+    } else if (!Identity.verify(this._remoteIdentity, frame.signed, frame.signature)) {
+      reason = 'Invalid signature'
+    }
+
+    if (reason !== null) {
+      this._eventEmitter.emit('unverified', {
+        peer: this,
+        command: frame.command,
+        reason: reason
+      })
+
+      return false
+    }
+
+    return true
+  }
+
+  _processMessage (frame) {
+    const command = frame.command
+    let payload = frame.data
+
+    // A peer being torn down has nothing more to say
+    if (this._state === 'destroying' || this._state === 'closed') return
+
+    if (this._messageBucket !== null && !this._rateLimit(this._messageBucket, 'messages', 1)) return
+
+    // Nothing but the handshake is accepted until the remote has proven who it is
+    if (this._resolveHandshake !== null && !HANDSHAKE_COMMANDS.includes(command)) {
+      this._protocolError({ reason: `Received ${command} before the handshake completed` })
+      return
+    }
+
+    // Repeating the handshake afterwards would let the remote swap its identity or session keys
+    if (this._resolveHandshake === null && ['SECURE', 'HELLO', 'HELLO-ACK'].includes(command)) {
+      this._handshakeViolation(`Received ${command} after the handshake completed`)
+      return
+    }
+
+    if (!this._verifyFrame(frame)) return
+
+    if (payload !== null) {
+      // If our command is SECURE, then do not send an event and negotiate the session key here
+      if (command === 'SECURE') {
+        // One key exchange per connection, ahead of the HELLO unless it answers ours to a remote that had no keypair yet
+        if (this._remotePublicKey !== null || (this._pendingHello !== null && this.keypair === null)) {
+          this._handshakeViolation('Received SECURE out of order')
+          return
+        }
+
+        this._remotePublicKey = payload.toString()
+
+        // The remote wants a secure session, answer with our own public key if we haven't sent one
+        if (this.keypair === null) {
+          if (!this._capabilities.includes('encryption')) {
+            this._reject('Encryption not supported')
+            return
+          }
+
+          this._createKeypair()
+          this.send('SECURE', this.keypair.public)
+        }
+
+        try {
+          this._establishSession()
+        } catch (err) {
+          this._eventEmitter.emit('error', { peer: this, err: 'Unable to establish secure session' })
+          return
+        }
+
+        if (this._resolveSession !== null) {
+          this._resolveSession(true)
+          this._resolveSession = null
+        }
+
+        this._eventEmitter.emit('secure', { peer: this })
+      } else {
+        // Once a session is established every message must decrypt and authenticate
+        if (this._session !== null) {
+          try {
+            payload = this._decrypt(command, payload)
+          } catch (err) {
+            this._eventEmitter.emit('error', { peer: this, err: 'Unable to decrypt message' })
+
+            // Frames are numbered, after a lost or forged one nothing the remote sends can be decrypted again
+            this.destroy()
+            return
+          }
+        }
+
+        if (frame.flags & FLAG_COMPRESSED) {
+          try {
+            payload = this._decompress(payload)
+          } catch (err) {
+            this._protocolError({ reason: `Unable to decompress ${command} frame: ${err.message}` })
+            return
+          }
+        }
+
+        // Handshake, requests and responses are routed internally instead of to listeners
+        if (command === 'HELLO') {
+          this._processHello(payload)
+        } else if (command === 'HELLO-ACK') {
+          this._processHelloAck(payload)
+        } else if (command === 'REJECT') {
+          this._processReject(payload)
+        } else if (command === 'PING') {
+          this.send('PONG', payload)
+        } else if (command === 'PONG') {
+          this._processPong(payload)
+        } else if (command === 'BYE') {
+          this._processBye(payload)
+        } else if (STREAM_COMMANDS.includes(command)) {
+          this._processStream(command, payload)
+        } else if (command === 'REQUEST' && payload.length >= 16) {
+          this._processRequest(payload)
+        } else if (command === 'RESPONSE' && payload.length >= 5) {
+          this._processResponse(payload)
+        } else if (command === 'RELIABLE' && payload.length >= RELIABLE_HEADER_LENGTH) {
+          this._processReliable(payload)
+        } else if (command === 'ACK' && payload.length >= RELIABLE_EPOCH_LENGTH + 4) {
+          this._processAck(payload)
+        } else {
+          this._deliver(command, payload)
+        }
+      }
+    }
+  }
+
+  _deliver (command, payload) {
+    let data = payload
+
+    // Flooded envelopes are decoded by the Node once it has unwrapped them
+    if (!isInternal(command)) {
+      try {
+        data = this._commands.decode(command, payload)
+      } catch (err) {
+        this._eventEmitter.emit('invalid', {
+          peer: this,
+          command: command,
+          reason: err.message
+        })
+        return
+      }
+    }
+
+    const message = {
+      peer: this,
+      command: command,
+      data: data
+    }
+
+    this._eventEmitter.emit('message', message)
+    this._eventEmitter.emit(`command:${command}`, message)
+  }
+
+  /**
+   * Attach to a peer event. Besides the named events every message is also emitted as 'command:NAME'
+   * @param {String} event - Event string on which to attach
+   * @param {Function} callback - Function to execute when event is emitted
+   */
+  on (event, callback) {
+    this._eventEmitter.on(event, callback)
+  }
+
+  /**
+   * Send a request to the connected Peer and wait for the reply of its handler for the command
+   * @param {String} command - Maximum 12 characters command string
+   * @param {String} [data=null] - Data string to send to the connected Peer
+   * @param {Object} [options={}] - Request options
+   * @param {Number} [options.timeout=5000] - Milliseconds to wait for the reply before rejecting
+   * @returns {Buffer} Reply data, rejects with the remote error message when the handler fails
+   */
+  request (command, data = null, { timeout = 5000 } = {}) {
+    const id = this._nextRequestId
+    this._nextRequestId = (this._nextRequestId + 1) % 0x100000000
+
+    const request = Buffer.alloc(16)
+    request.writeUInt32LE(id, 0)
+    request.write(command.slice(0, 12), 4)
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        delete this._pendingRequests[id]
+        reject(new Error(`Request ${command} timed out`))
+      }, timeout)
+
+      this._pendingRequests[id] = { resolve, reject, timer }
+
+      const fail = (err) => {
+        if (this._pendingRequests[id] !== undefined) {
+          clearTimeout(timer)
+          delete this._pendingRequests[id]
+          reject(err)
+        }
+      }
+
+      Promise.resolve(this._handshake).then((ready) => {
+        if (ready && !this.supports('requests')) {
+          return fail(new Error('Remote does not support requests'))
+        }
+
+        return this.send('REQUEST', Buffer.concat([request, data === null ? Buffer.alloc(0) : Buffer.from(data)]))
+      }).then((sent) => {
+        if (sent === false) {
+          fail(new Error(`Request ${command} could not be sent`))
+        }
+      })
+    })
+  }
+
+  /**
+   * Stream data to the connected Peer, which receives it through a Readable in a 'stream' event. Data is sent in
+   * chunks only as fast as the socket and the remote reader take it. Destroying the source cancels the transfer
+   * @param {String} command - Maximum 12 characters command string
+   * @param {Readable} readable - Source of the data to stream
+   * @param {Object} [options={}] - Stream options
+   * @param {Number} [options.chunkSize=65536] - Maximum number of bytes sent per chunk
+   * @returns {Boolean} Resolves once the whole stream was sent, rejects when the transfer is cancelled
+   */
+  sendStream (command, readable, { chunkSize = STREAM_CHUNK_SIZE } = {}) {
+    const id = this._nextStreamId
+    this._nextStreamId = (this._nextStreamId + 1) % 0x100000000
+
+    const open = this._streamFrame(id, 12)
+    open.write(command.slice(0, 12), 4)
+
+    return new Promise((resolve, reject) => {
+      const entry = {
+        source: readable,
+        chunkSize: chunkSize,
+        credits: STREAM_WINDOW,
+        cancelled: false,
+        wake: () => {},
+        resolve: resolve,
+        reject: reject
+      }
+
+      this._outgoingStreams[id] = entry
+
+      Promise.resolve(this._handshake).then((ready) => {
+        if (ready && !this.supports('streaming')) {
+          return this._finishOutgoingStream(id, new Error('Remote does not support streaming'))
+        }
+
+        return this.send('STREAM', open)
+      }).then((sent) => {
+        if (sent === false) {
+          this._finishOutgoingStream(id, new Error('Stream could not be sent'))
+        } else if (this._outgoingStreams[id] === entry) {
+          this._pumpStream(id, entry)
+        }
+      })
+    })
+  }
+
+  /**
+   * Send a command and data packet to the connected Peer. Messages are held back until the remote has proven its
+   * identity and, when a keypair exists, the session key has been negotiated. Messages sent while reconnecting are
+   * queued when the reconnect policy allows it. In reliable mode messages are kept until the remote acknowledged them
+   * and retransmitted after reconnecting, sending resolves once the acknowledgement arrived
+   * @param {String} command - Maximum 12 characters command string
+   * @param {*} [data=null] - Payload encoded with the codec of the command, a String or Buffer for the raw codec
+   * @returns {Boolean} Success state of sending the data packet, false in reliable mode when the connection closed before the remote acknowledged it
+   */
+  async send (command, data = null) {
+    if (!isInternal(command)) {
+      data = this._commands.encode(command, data)
+
+      if (this._reliable !== false) {
+        const sent = this._sendReliable(command, data)
+        const settled = () => this._unacknowledged.delete(sent)
+
+        // Saying goodbye waits for these, including those still waiting for the handshake
+        this._unacknowledged.add(sent)
+        sent.then(settled, settled)
+
+        return sent
+      }
+    } else if (data === null) {
+      data = Buffer.alloc(0)
+    } else {
+      data = Buffer.from(data)
+    }
+
+    return this._send(command, data)
+  }
+
+  async _send (command, data) {
+    const handshake = HANDSHAKE_COMMANDS.includes(command)
+
+    // While an outbound connection is being re-established either queue the message or report it as not sent
+    if (!handshake && this._hasConnected && (this._state === 'reconnecting' || this._state === 'connecting')) {
+      if (this._reconnect !== false && this._reconnect.queue) {
+        return new Promise((resolve) => this._outbox.push({ command, data, resolve }))
+      } else if (this._socket === null) {
+        return false
+      }
+    }
+
+    if (!handshake && !(await this._handshake)) {
+      return false
+    }
+
+    let flags = 0
+
+    // Compress ahead of encryption, ciphertext does not compress
+    if (!handshake && this.compression !== null && data.length >= this._compression.threshold) {
+      const compressed = this._compress(data)
+
+      if (compressed !== null) {
+        data = compressed
+        flags |= FLAG_COMPRESSED
+      }
+    }
+
+    // If we're not sending our public key and want a secure session, then wait for it and encrypt the data
+    if (command !== 'SECURE' && this.keypair !== null) {
+      if (!(await this._sessionReady)) {
+        return false
+      }
+
+      data = this._encrypt(command, data)
+    }
+
+    const outgoingBuffer = encodeFrame(this._header, this.protocolVersion || PROTOCOL_VERSION, flags, command, data, {
+      checksum: this._checksum,
+      identity: this._signatures && !handshake ? this._identity : null
+    })
+
+    try {
+      await this._socket.write(outgoingBuffer, null)
+
+      return true
+    } catch (err) {
+      return false
+    }
+  }
+
+  /**
+   * Whether both sides of the connection support a capability
+   * @param {String} capability - Capability such as 'encryption' or 'streaming'
+   * @returns {Boolean} Support for the capability
+   */
+  supports (capability) {
+    return this.capabilities.includes(capability)
+  }
+
+  /**
+   * Get the state of this Peer connection
+   */
+  get state () {
+    return this._state
+  }
+}
+
+/**
+ * Peer Node Server. This is needed to allow other peers to connect into the system network
+ * @class
+ * @memberof module:peer-node
+ */
+class Node {
+  /**
+   * @constructor
+   * @param {Host} Host object identifying the connection (Only port is utilized)
+   * @param {Number} [header=0xA27CC1A2] - 10 digit number identifying header of each message
+   * @param {Number} [bufferSize=10485760] - Largest frame accepted, receive buffers only grow this large while such a frame arrives
+   * @param {Object} [options={}] - Additional Node options
+   * @param {Host[]} [options.seeds=[]] - Hosts of known Nodes used to bootstrap the network
+   * @param {Object} [options.discovery] - Peer discovery settings
+   * @param {Number} [options.discovery.targetOutbound=8] - Number of outbound connections to automatically maintain
+   * @param {Number} [options.discovery.maxAddresses=1000] - Maximum number of addresses kept in the address book
+   * @param {Number} [options.discovery.interval=30000] - Milliseconds between exchanging addresses and dialing new peers
+   * @param {Object} [options.flood] - Settings for messages flooded or published across the network
+   * @param {Number} [options.flood.ttl=16] - Default maximum number of hops a flooded or published message travels
+   * @param {Number} [options.flood.seenCacheSize=10000] - Number of message ids remembered to drop duplicates
+   * @param {Identity} [options.identity] - Identity of this Node proven to every peer, generated when omitted
+   * @param {Object|Boolean} [options.keepalive] - Keepalive settings for the peers of this Node, see {@link module:peer-node.Peer}
+   * @param {Number} [options.maxFrameSize] - Largest frame data accepted from peers, see {@link module:peer-node.Peer}
+   * @param {Object} [options.protocolErrors] - Handling of corrupt frames sent by peers, see {@link module:peer-node.Peer}
+   * @param {Object} [options.checksum] - Frame integrity check shared by the network, see {@link module:peer-node.Peer}
+   * @param {Boolean} [options.signatures=false] - Sign frames and require peers to sign theirs, see {@link module:peer-node.Peer}
+   * @param {String|Buffer} [options.networkKey] - Secret shared by the Nodes of a private network, see {@link module:peer-node.Peer}
+   * @param {Object} [options.filter] - Connection filtering, applied to inbound connections and to the Nodes we dial
+   * @param {String[]} [options.filter.allow] - CIDR ranges such as '10.0.0.0/8' or 'fd00::/8', when given only these may connect
+   * @param {String[]} [options.filter.deny] - CIDR ranges that may never connect
+   * @param {String[]} [options.filter.identities] - Ids or PEM public keys, when given only these identities are accepted
+   * @param {Object} [options.limits] - Connection limits
+   * @param {Number} [options.limits.maxInbound=125] - Maximum number of inbound peers
+   * @param {Number} [options.limits.maxPerAddress=8] - Maximum number of inbound peers from a single address
+   * @param {Number} [options.limits.maxOutbound=16] - Maximum number of outbound peers, discovery dials at most this many
+   * @param {Number} [options.limits.handshakeTimeout=10000] - Milliseconds a peer has to complete the handshake before it is destroyed
+   * @param {Object} [options.rateLimit] - Per peer message and byte rate limits, see {@link module:peer-node.Peer}
+   * @param {Object} [options.tls] - Listen and dial over TLS with these options, such as key, cert and ca. Peers must present a certificate signed by ca unless requestCert is false
+   * @param {String|Object} [options.codec='raw'] - Payload codec of commands without their own definition, see {@link module:peer-node.Peer}
+   * @param {Object|Boolean} [options.compression=false] - Frame compression negotiated with every peer, see {@link module:peer-node.Peer}
+   * @param {Object} [options.dht] - Distributed hash table settings, see {@link module:peer-node.DHT}
+   * @param {Object|Boolean} [options.reliable=false] - Reliable delivery to every peer through one outbox store, see {@link module:peer-node.Peer}
+   * @returns Node Instance
+   */
+  constructor (host, header = 0xA27CC1A2, bufferSize = 10485760, options = {}) {
+    this._host = host
+    this._header = header
+    this._bufferSize = bufferSize
+
+    this._server = null
+
+    this._peerList = {}
+    this._pendingPeers = new Set()
+    this._handlers = {}
+    this._commands = new CommandRegistry(options.codec)
+    this._identity = options.identity || new Identity()
+    this._keepalive = options.keepalive
+    this._maxFrameSize = options.maxFrameSize
+    this._protocolErrors = options.protocolErrors
+    this._checksum = options.checksum
+    this._signatures = options.signatures
+    this._networkKey = options.networkKey
+    this._rateLimit = options.rateLimit
+    this._tls = options.tls || null
+    this._compression = options.compression
+    this._bans = {}
+
+    // Peers share one outbox store, and remember what each remote delivered across its connections
+    this._reliable = options.reliable
+      ? { store: options.reliable.store || new MemoryOutboxStore() }
+      : false
+    this._received = new Map()
+
+    this._limits = Object.assign({
+      maxInbound: 125,
+      maxPerAddress: 8,
+      maxOutbound: 16,
+      handshakeTimeout: 10000
+    }, options.limits)
+    this._allow = null
+    this._deny = null
+    this._allowedIds = null
+
+    const filter = options.filter || {}
+
+    if (filter.allow !== undefined) {
+      this._allow = this._createBlockList(filter.allow)
+    }
+
+    if (filter.deny !== undefined) {
+      this._deny = this._createBlockList(filter.deny)
+    }
+
+    if (filter.identities !== undefined) {
+      this._allowedIds = new Set(filter.identities.map((key) => key.includes('PUBLIC KEY') ? Identity.idFromPublicKey(key) : key))
+    }
+
+    this._discovery = Object.assign({
+      targetOutbound: 8,
+      maxAddresses: 1000,
+      interval: 30000
+    }, options.discovery)
+    this._addressBook = {}
+    this._dialing = {}
+    this._discoveryTimer = null
+
+    this._flood = Object.assign({
+      ttl: 16,
+      seenCacheSize: 10000
+    }, options.flood)
+    this._seenMessages = new Set()
+
+    // Destinations each neighbor announced it can reach, with their distance in hops
+    this._routeTables = {}
+    this._announcedRoutes = null
+
+    // Topic patterns subscribed to here, and those each neighbor announced an interest in with their distance in hops
+    this._subscriptions = new Map()
+    this._interestTables = {}
+    this._announcedInterests = {}
+
+    for (const seed of options.seeds || []) {
+      this._addAddress(seed)
+    }
+
+    // Every Node answers address requests so the network can discover itself
+    this._handlers.GETPEERS = this._handleGetPeers.bind(this)
+
+    this._eventEmitter = new EventEmitter()
+
+    this._dht = new DHT(this, options.dht)
+  }
+
+  _hostKey (host) {
+    return host.uri
+  }
+
+  _createBlockList (ranges) {
+    const list = new net.BlockList()
+
+    for (const range of ranges) {
+      const [address, prefix] = range.split('/')
+      const version = net.isIP(address)
+
+      if (version === 0) {
+        throw new Error(`Invalid address range ${range}`)
+      }
+
+      list.addSubnet(address, prefix === undefined ? (version === 4 ? 32 : 128) : parseInt(prefix), `ipv${version}`)
+    }
+
+    return list
+  }
+
+  _isBanned (key) {
+    if (this._bans[key] === undefined) return false
+
+    // Bans lift by themselves once they expire
+    if (this._bans[key] <= Date.now()) {
+      delete this._bans[key]
+      return false
+    }
+
+    return true
+  }
+
+  _isIP (host) {
+    return host.family === 'IPv4' || host.family === 'IPv6'
+  }
+
+  _rejectReason (host) {
+    if (this._isBanned(host.address)) return 'Banned'
+
+    // Address ranges only describe IP hosts, anything else passes the allow list only when it is empty
+    if (!this._isIP(host)) return this._allow !== null ? 'Address not allowed' : null
+
+    const family = host.family.toLowerCase()
+
+    if (this._deny !== null && this._deny.check(host.address, family)) return 'Address denied'
+    if (this._allow !== null && !this._allow.check(host.address, family)) return 'Address not allowed'
+
+    return null
+  }
+
+  _limitReason (host, outbound) {
+    const peers = this._peers().filter((peer) => peer._outbound === outbound)
+
+    if (outbound) {
+      if (peers.length >= this._limits.maxOutbound) return 'Too many outbound peers'
+    } else {
+      if (peers.length >= this._limits.maxInbound) return 'Too many inbound peers'
+      // Clients of local transports all share the address of the endpoint they connected to
+      if (this._isIP(host) && peers.filter((peer) => peer._host.address === host.address).length >= this._limits.maxPerAddress) return 'Too many peers from address'
+    }
+
+    return null
+  }
+
+  _rejectPeer (peer, remoteHost, reason) {
+    this._eventEmitter.emit('rejected', {
+      peer: peer,
+      remoteHost: remoteHost,
+      reason: reason
+    })
+  }
+
+  _isSelf (host) {
+    // Local transports are only ever reached through the exact same endpoint
+    if (host.transport !== 'tcp') return host.uri === this._host.uri
+    if (host.port !== this.port) return false
+
+    const localAddresses = ['0.0.0.0', '::']
+    const interfaces = os.networkInterfaces()
+
+    for (const name in interfaces) {
+      for (const info of interfaces[name]) {
+        localAddresses.push(info.address)
+      }
+    }
+
+    return localAddresses.includes(host.address)
+  }
+
+  _addAddress (host) {
+    if (this._isSelf(host)) return
+
+    const key = this._hostKey(host)
+
+    if (this._addressBook[key] === undefined) {
+      const keys = Object.keys(this._addressBook)
+
+      // Make room by evicting the address we heard of least recently
+      if (keys.length >= this._discovery.maxAddresses) {
+        const oldest = keys.reduce((a, b) => this._addressBook[a].lastSeen <= this._addressBook[b].lastSeen ? a : b)
+        delete this._addressBook[oldest]
+      }
+
+      this._addressBook[key] = { host: host, lastSeen: Date.now() }
+    } else {
+      this._addressBook[key].lastSeen = Date.now()
+    }
+  }
+
+  _handleGetPeers (data, peer) {
+    const requester = peer._listenHost ? this._hostKey(peer._listenHost) : null
+    const addresses = Object.keys(this._addressBook)
+      .filter((key) => key !== requester && SHARED_TRANSPORTS.includes(this._addressBook[key].host.transport))
+      .sort(() => Math.random() - 0.5)
+      .slice(0, MAX_SHARED_ADDRESSES)
+      .map((key) => {
+        const host = this._addressBook[key].host
+        return { address: host.address, port: host.port, uri: host.uri }
+      })
+
+    return JSON.stringify(addresses)
+  }
+
+  async _requestPeers (peer) {
+    try {
+      const reply = await peer.request('GETPEERS')
+
+      for (const entry of JSON.parse(reply.toString())) {
+        try {
+          const host = entry.uri ? new Host(entry.uri) : new Host(entry.address, entry.port)
+
+          // Never dial local endpoints on the word of a remote
+          if (SHARED_TRANSPORTS.includes(host.transport)) {
+            this._addAddress(host)
+          }
+        } catch (err) {
+          // Skip addresses we cannot make sense of
+        }
+      }
+    } catch (err) {
+      // The peer does not take part in discovery
+    }
+  }
+
+  // Options every peer of this Node shares, speaking for the Node
+  _peerOptions (options = {}) {
+    return Object.assign({
+      identity: this._identity,
+      listenPort: this.port,
+      capabilities: NODE_CAPABILITIES,
+      keepalive: this._keepalive,
+      maxFrameSize: this._maxFrameSize,
+      protocolErrors: this._protocolErrors,
+      checksum: this._checksum,
+      signatures: this._signatures,
+      networkKey: this._networkKey,
+      rateLimit: this._rateLimit,
+      compression: this._compression,
+      reliable: this._reliable
+    }, options)
+  }
+
+  _openConnection (host, id, timeout) {
+    // A short lived connection outside the peer list, it takes no part in routing or keepalive
+    const peer = new Peer(host, this._header, this._bufferSize, 0, this._peerOptions({
+      reconnect: false,
+      reliable: false,
+      tls: this._tls,
+      capabilities: CAPABILITIES,
+      keepalive: false
+    }))
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        peer.destroy()
+        reject(new Error(`Connecting to ${host.uri} timed out`))
+      }, timeout)
+
+      peer.on('handshake', () => {
+        clearTimeout(timer)
+
+        if (peer.id === id) {
+          resolve(peer)
+        } else {
+          peer.destroy()
+          reject(new Error(`${host.uri} is not ${id}`))
+        }
+      })
+
+      // The connection closes right after an error
+      peer.on('error', () => {})
+
+      peer.on('close', () => {
+        clearTimeout(timer)
+        reject(new Error(`Unable to connect to ${host.uri}`))
+      })
+
+      peer.generateKeypair()
+      peer.connect()
+    })
+  }
+
+  _dial (host) {
+    const key = this._hostKey(host)
+    const peer = new Peer(host, this._header, this._bufferSize, 0, this._peerOptions({ reconnect: false, tls: this._tls }))
+
+    this._dialing[key] = peer
+
+    peer.generateKeypair()
+
+    peer.on('connect', () => {
+      delete this._dialing[key]
+      this.connectPeer(peer)
+    })
+
+    peer.on('error', () => {
+      // Nobody is listening there anymore, forget about it
+      delete this._dialing[key]
+      delete this._addressBook[key]
+    })
+
+    peer.connect()
+  }
+
+  _markSeen (id) {
+    if (this._seenMessages.has(id)) return false
+
+    this._seenMessages.add(id)
+
+    // Sets keep insertion order, so the first entry is the oldest one
+    if (this._seenMessages.size > this._flood.seenCacheSize) {
+      this._seenMessages.delete(this._seenMessages.values().next().value)
+    }
+
+    return true
+  }
+
+  _forwardFlood (envelope, source) {
+    for (const peer of this._peers()) {
+      // Never echo a message back to the peer it came from
+      if (peer !== source) {
+        peer.send('FLOOD', envelope)
+      }
+    }
+  }
+
+  _processFlood (payload) {
+    if (payload.data.length < FLOOD_HEADER_LENGTH) return
+
+    const envelope = Buffer.from(payload.data)
+    const id = envelope.slice(0, FLOOD_ID_LENGTH).toString('hex')
+    const hops = envelope.readUInt8(FLOOD_ID_LENGTH)
+    const ttl = envelope.readUInt8(FLOOD_ID_LENGTH + 1)
+
+    if (!this._markSeen(id)) return
+
+    const command = envelope.slice(FLOOD_ID_LENGTH + 2, FLOOD_HEADER_LENGTH).toString().replace(/\0+$/, '')
+    let data
+
+    try {
+      data = this._commands.decode(command, envelope.slice(FLOOD_HEADER_LENGTH))
+    } catch (err) {
+      // Malformed messages are not passed on either
+      this._eventEmitter.emit('invalid', {
+        peer: payload.peer,
+        command: command,
+        reason: err.message,
+        id: id
+      })
+      return
+    }
+
+    this._emitMessage({
+      peer: payload.peer,
+      command: command,
+      data: data,
+      id: id,
+      hops: hops
+    })
+
+    if (hops < ttl) {
+      envelope.writeUInt8(hops + 1, FLOOD_ID_LENGTH)
+      this._forwardFlood(envelope, payload.peer)
+    }
+  }
+
+  _routes () {
+    const routes = new Map()
+
+    for (const id in this._peerList) {
+      routes.set(id, { peer: this._peerList[id], hops: 1 })
+    }
+
+    for (const neighbor in this._routeTables) {
+      const peer = this._peerList[neighbor]
+
+      for (const [destination, hops] of this._routeTables[neighbor]) {
+        const route = routes.get(destination)
+
+        if (destination !== this.id && hops + 1 <= MAX_ROUTE_HOPS && (route === undefined || route.hops > hops + 1)) {
+          routes.set(destination, { peer: peer, hops: hops + 1 })
+        }
+      }
+    }
+
+    return routes
+  }
+
+  _announceRoutes (force = false) {
+    const routes = this._routes()
+    const summary = Array.from(routes, ([destination, route]) => `${destination}:${route.peer.id}:${route.hops}`).sort().join()
+
+    // Neighbors only hear from us when what we can reach has changed
+    if (!force && summary === this._announcedRoutes) return
+
+    this._announcedRoutes = summary
+
+    for (const peer of Object.values(this._peerList).filter((peer) => peer.supports('routing'))) {
+      const entries = []
+
+      // Split horizon, never offer a neighbor the routes leading back through it
+      for (const [destination, route] of routes) {
+        if (route.peer !== peer) {
+          entries.push([destination, route.hops])
+        }
+      }
+
+      peer.send('ROUTES', JSON.stringify(entries))
+    }
+  }
+
+  _processRoutes (payload) {
+    const peer = payload.peer
+
+    // Announcements only count from peers that proved their identity
+    if (this._peerList[peer.id] !== peer) return
+
+    try {
+      const entries = JSON.parse(payload.data.toString())
+      const table = new Map()
+
+      for (const [destination, hops] of entries) {
+        if (NODE_ID_PATTERN.test(destination) && Number.isInteger(hops) && hops > 0) {
+          table.set(destination, hops)
+        }
+      }
+
+      this._routeTables[peer.id] = table
+    } catch (err) {
+      return
+    }
+
+    this._announceRoutes()
+  }
+
+  _routeEnvelope (type, ttl, source, destination, command, data) {
+    const header = Buffer.alloc(ROUTE_HEADER_LENGTH)
+
+    crypto.randomBytes(ROUTE_ID_LENGTH).copy(header, 0)
+    header.writeUInt8(1, ROUTE_ID_LENGTH)
+    header.writeUInt8(Math.min(ttl, 255), ROUTE_ID_LENGTH + 1)
+    header.writeUInt8(type, ROUTE_ID_LENGTH + 2)
+    header.write(source, ROUTE_SOURCE_OFFSET, 'hex')
+    header.write(destination, ROUTE_DESTINATION_OFFSET, 'hex')
+    header.write(command.slice(0, 12), ROUTE_COMMAND_OFFSET)
+    crypto.createPublicKey(this._identity.publicKey).export({ type: 'spki', format: 'der' }).copy(header, ROUTE_KEY_OFFSET)
+
+    const envelope = Buffer.concat([header, data])
+
+    this._identity.sign(routeTranscript(envelope)).copy(envelope, ROUTE_SIGNATURE_OFFSET)
+    this._markSeen(header.slice(0, ROUTE_ID_LENGTH).toString('hex'))
+
+    return envelope
+  }
+
+  _reportUnreachable (envelope, reason) {
+    const source = envelope.slice(ROUTE_SOURCE_OFFSET, ROUTE_DESTINATION_OFFSET).toString('hex')
+    const destination = envelope.slice(ROUTE_DESTINATION_OFFSET, ROUTE_COMMAND_OFFSET).toString('hex')
+    const command = envelope.slice(ROUTE_COMMAND_OFFSET, ROUTE_KEY_OFFSET).toString().replace(/\0+$/, '')
+    const route = this._routes().get(source)
+
+    // Failures to deliver a report are not reported themselves
+    if (envelope.readUInt8(ROUTE_ID_LENGTH + 2) === ROUTE_UNREACHABLE || route === undefined) return
+
+    const report = Buffer.concat([Buffer.from(destination, 'hex'), Buffer.from(reason)])
+
+    route.peer.send('ROUTE', this._routeEnvelope(ROUTE_UNREACHABLE, MAX_ROUTE_HOPS, this.id, source, command, report))
+  }
+
+  _processRoute (payload) {
+    if (payload.data.length < ROUTE_HEADER_LENGTH) return
+
+    const envelope = Buffer.from(payload.data)
+    const id = envelope.slice(0, ROUTE_ID_LENGTH).toString('hex')
+    const hops = envelope.readUInt8(ROUTE_ID_LENGTH)
+    const ttl = envelope.readUInt8(ROUTE_ID_LENGTH + 1)
+    const type = envelope.readUInt8(ROUTE_ID_LENGTH + 2)
+    const source = envelope.slice(ROUTE_SOURCE_OFFSET, ROUTE_DESTINATION_OFFSET).toString('hex')
+    const destination = envelope.slice(ROUTE_DESTINATION_OFFSET, ROUTE_COMMAND_OFFSET).toString('hex')
+    const command = envelope.slice(ROUTE_COMMAND_OFFSET, ROUTE_KEY_OFFSET).toString().replace(/\0+$/, '')
+    const data = envelope.slice(ROUTE_HEADER_LENGTH)
+
+    // A message coming around again is caught in a loop
+    if (!this._markSeen(id)) return
+
+    if (destination !== this.id) {
+      const route = this._routes().get(destination)
+
+      if (route === undefined) {
+        this._reportUnreachable(envelope, 'No route')
+      } else if (hops >= ttl) {
+        this._reportUnreachable(envelope, 'Hop limit reached')
+      } else if (route.peer === payload.peer) {
+        this._reportUnreachable(envelope, 'Routing loop')
+      } else {
+        envelope.writeUInt8(hops + 1, ROUTE_ID_LENGTH)
+        route.peer.send('ROUTE', envelope)
+      }
+
+      return
+    }
+
+    // Only the destination checks the signature, Nodes on the way just pass the envelope on
+    if (!verifyRoute(envelope, source)) {
+      this._eventEmitter.emit('invalid', {
+        peer: payload.peer,
+        command: command,
+        reason: 'Invalid route signature',
+        from: source
+      })
+      return
+    }
+
+    if (type === ROUTE_UNREACHABLE) {
+      this._eventEmitter.emit('unreachable', {
+        destination: data.slice(0, ROUTE_NODE_ID_LENGTH).toString('hex'),
+        command: command,
+        reason: data.slice(ROUTE_NODE_ID_LENGTH).toString(),
+        reportedBy: source
+      })
+      return
+    }
+
+    let message
+
+    try {
+      message = this._commands.decode(command, data)
+    } catch (err) {
+      this._eventEmitter.emit('invalid', {
+        peer: payload.peer,
+        command: command,
+        reason: err.message,
+        from: source
+      })
+      return
     }
 
-    // If we're not sending public key and we have a private key and remote public key, then encrypt the data
-    if (command !== 'SECURE' && this.keypair !== null && this._remotePublicKey !== null) {
-      data = crypto.privateEncrypt(this.keypair.private, data)
+    this._emitMessage({
+      peer: payload.peer,
+      command: command,
+      data: message,
+      from: source,
+      id: id,
+      hops: hops
+    })
+  }
+
+  _interests () {
+    const interests = new Map()
+
+    for (const pattern of this._subscriptions.keys()) {
+      interests.set(pattern, { peer: null, hops: 0 })
     }
 
-    // Allocate buffer length of data + command/checksum byte length
-    const outgoingBuffer = Buffer.alloc(data.length + 24)
+    for (const neighbor in this._interestTables) {
+      const peer = this._peerList[neighbor]
 
-    // Write the message header to start this message
-    outgoingBuffer.writeUInt32LE(this._header, 0)
+      for (const [pattern, hops] of this._interestTables[neighbor]) {
+        const interest = interests.get(pattern)
 
-    // Loop through our command characters and write up to 12 of them
-    for (let i = 0; i < 12; i++) {
-      // Add the command character
-      if (i < command.length) {
-        outgoingBuffer.writeUInt8(command.charCodeAt(i), i + 4)
+        if (hops + 1 <= MAX_ROUTE_HOPS && (interest === undefined || interest.hops > hops + 1)) {
+          interests.set(pattern, { peer: peer, hops: hops + 1 })
+        }
       }
     }
 
-    // Output the length of the data block
-    outgoingBuffer.writeUInt32LE(data.length, 16)
+    return interests
+  }
+
+  _announceInterests () {
+    const interests = this._interests()
+
+    for (const peer of Object.values(this._peerList).filter((peer) => peer.supports('pubsub'))) {
+      const entries = []
+
+      // Split horizon as with routes, a neighbor does not need to hear about its own subscribers
+      for (const [pattern, interest] of interests) {
+        if (interest.peer !== peer) {
+          entries.push([pattern, interest.hops])
+        }
+      }
+
+      const announcement = JSON.stringify(entries.sort())
+
+      if (announcement !== this._announcedInterests[peer.id]) {
+        this._announcedInterests[peer.id] = announcement
+        peer.send('SUBSCRIBE', announcement)
+      }
+    }
+  }
 
-    // Generate our checksum for this message
-    const checksum = Buffer.from(this._calculateChecksum(command, data))
+  _processSubscribe (payload) {
+    const peer = payload.peer
 
-    // Copy our checksum and data into the outgoing buffer
-    checksum.copy(outgoingBuffer, 20)
-    data.copy(outgoingBuffer, 24)
+    if (this._peerList[peer.id] !== peer) return
 
     try {
-      await this._socket.write(outgoingBuffer, null)
+      const entries = JSON.parse(payload.data.toString())
+      const table = new Map()
 
-      return true
+      for (const [pattern, hops] of entries) {
+        if (typeof pattern === 'string' && pattern.length > 0 && Number.isInteger(hops) && hops >= 0) {
+          table.set(pattern, hops)
+        }
+      }
+
+      this._interestTables[peer.id] = table
     } catch (err) {
-      return false
+      return
     }
+
+    this._announceInterests()
   }
 
-  /**
-   * Get the state of this Peer connection
-   */
-  get state () {
-    return this._state
+  _forwardPublish (envelope, topic, source) {
+    for (const peer of Object.values(this._peerList)) {
+      const table = this._interestTables[peer.id]
+
+      // Only paths leading to a subscriber carry the message
+      if (peer !== source && table !== undefined && Array.from(table.keys()).some((pattern) => topicMatches(pattern, topic))) {
+        peer.send('PUBLISH', envelope)
+      }
+    }
   }
-}
 
-/**
- * Peer Node Server. This is needed to allow other peers to connect into the system network
- * @class
- * @memberof module:peer-node
- */
-class Node {
-  /**
-   * @constructor
-   * @param {Host} Host object identifying the connection (Only port is utilized)
-   * @param {Number} [header=0xA27CC1A2] - 10 digit number identifying header of each message
-   * @param {Number} [bufferSize=10485760] - Size of the buffer used to process incoming messages
-   * @returns Node Instance
-   */
-  constructor (host, header = 0xA27CC1A2, bufferSize = 10485760) {
-    this._host = host
-    this._header = header
-    this._bufferSize = bufferSize
+  _processPublish (payload) {
+    if (payload.data.length < PUBLISH_TOPIC_OFFSET) return
 
-    this._server = null
+    const envelope = Buffer.from(payload.data)
+    const id = envelope.slice(0, PUBLISH_ID_LENGTH).toString('hex')
+    const hops = envelope.readUInt8(PUBLISH_ID_LENGTH)
+    const ttl = envelope.readUInt8(PUBLISH_ID_LENGTH + 1)
+    const source = envelope.slice(PUBLISH_SOURCE_OFFSET, PUBLISH_TOPIC_OFFSET - 1).toString('hex')
+    const topicEnd = PUBLISH_TOPIC_OFFSET + envelope.readUInt8(PUBLISH_TOPIC_OFFSET - 1)
 
-    this._keypair = keypair()
+    if (envelope.length < topicEnd || !this._markSeen(id)) return
 
-    this._peerList = {}
+    const topic = envelope.slice(PUBLISH_TOPIC_OFFSET, topicEnd).toString()
+    const handlers = []
 
-    this._eventEmitter = new EventEmitter()
+    // Pass the message on first, what our own subscribers make of it does not concern the others
+    if (hops < ttl) {
+      envelope.writeUInt8(hops + 1, PUBLISH_ID_LENGTH)
+      this._forwardPublish(envelope, topic, payload.peer)
+    }
+
+    for (const [pattern, subscribers] of this._subscriptions) {
+      if (topicMatches(pattern, topic)) {
+        handlers.push(...subscribers)
+      }
+    }
+
+    if (handlers.length > 0) {
+      let data
+
+      try {
+        data = this._commands.decode(topic, envelope.slice(topicEnd))
+      } catch (err) {
+        this._eventEmitter.emit('invalid', {
+          peer: payload.peer,
+          command: topic,
+          reason: err.message,
+          id: id
+        })
+        return
+      }
+
+      const message = {
+        peer: payload.peer,
+        topic: topic,
+        data: data,
+        from: source,
+        id: id,
+        hops: hops
+      }
+
+      for (const handler of handlers) {
+        handler(message)
+      }
+    }
+  }
+
+  _emitMessage (message) {
+    this._eventEmitter.emit('message', message)
+    this._eventEmitter.emit(`command:${message.command}`, message)
+  }
+
+  _maintainPeers () {
+    const peers = Object.values(this._peerList)
+    const known = peers.filter((peer) => peer._listenHost && peer.state === 'connected')
+
+    // Ask a random Node for addresses we may not know yet
+    if (known.length > 0) {
+      this._requestPeers(known[Math.floor(Math.random() * known.length)])
+    }
+
+    const connected = peers.filter((peer) => peer._listenHost).map((peer) => this._hostKey(peer._listenHost))
+    const outbound = peers.filter((peer) => peer._outbound).length + Object.keys(this._dialing).length
+    const candidates = Object.keys(this._addressBook)
+      .filter((key) => !connected.includes(key) && this._dialing[key] === undefined)
+      .filter((key) => this._rejectReason(this._addressBook[key].host) === null)
+      .sort(() => Math.random() - 0.5)
+      .slice(0, Math.max(0, Math.min(this._discovery.targetOutbound, this._limits.maxOutbound) - outbound))
+
+    for (const key of candidates) {
+      this._dial(this._addressBook[key].host)
+    }
+  }
+
+  _peers () {
+    // Peers still proving their identity hold on to messages until they are done
+    return Object.values(this._peerList).concat(Array.from(this._pendingPeers))
+  }
+
+  _addPeer (peer, remoteHost) {
+    this._pendingPeers.delete(peer)
+
+    // Identities are only known once the handshake completed
+    if (this._isBanned(peer.id) || (this._allowedIds !== null && !this._allowedIds.has(peer.id))) {
+      peer.destroy()
+      this._rejectPeer(peer, remoteHost, this._isBanned(peer.id) ? 'Banned' : 'Identity not allowed')
+      return
+    }
+
+    if (peer.id === this.id) {
+      // We dialed ourselves through an address someone shared with us
+      if (peer._listenHost) {
+        delete this._addressBook[this._hostKey(peer._listenHost)]
+      }
+
+      peer.destroy()
+      return
+    }
+
+    const existing = this._peerList[peer.id]
+
+    if (existing === peer) return
+
+    if (existing !== undefined) {
+      // Both ends keep the connection dialed by the Node with the lower id, otherwise the first one stays
+      if (peer._outbound === existing._outbound || peer._outbound !== (this.id < peer.id)) {
+        peer.goodbye('duplicate')
+        return
+      }
+
+      existing.goodbye('duplicate')
+    }
+
+    // Inbound Nodes announce the port they accept TCP connections on during the handshake
+    if (peer._listenHost === null && peer.remoteListenPort !== null && peer._host.transport === 'tcp') {
+      peer._listenHost = new Host(peer._host.address, peer.remoteListenPort)
+      this._addAddress(peer._listenHost)
+    }
+
+    peer.hash = peer.id
+    this._peerList[peer.id] = peer
+
+    // The new neighbor learns everything we can reach and everyone else learns about it
+    this._announceRoutes(true)
+
+    delete this._announcedInterests[peer.id]
+    this._announceInterests()
+
+    if (existing === undefined) {
+      this._eventEmitter.emit('peerConnected', {
+        peer: peer,
+        peerId: peer.id,
+        peerHash: peer.hash,
+        remoteHost: remoteHost
+      })
+    }
+  }
+
+  _removePeer (peer) {
+    this._pendingPeers.delete(peer)
+
+    // A collapsed duplicate is not the peer we know under this id
+    if (this._peerList[peer.id] === peer) {
+      delete this._peerList[peer.id]
+      delete this._routeTables[peer.id]
+      this._announceRoutes()
+
+      // Subscriptions of a peer end with its connection
+      delete this._interestTables[peer.id]
+      delete this._announcedInterests[peer.id]
+      this._announceInterests()
+    }
   }
 
   /**
-   * Connect this Host Node to a peer
+   * Connect this Host Node to a peer. The peer is added and 'peerConnected' fires once it has proven its identity,
+   * a second connection to the same identity is collapsed into one
    * @param {Socket|Peer} socketOrPeer - Add connected peer either via direct socket or already connected Peer object
-   * @returns {Boolean} Success of connection
+   * @param {Host} [remoteHost] - Host the socket connected from, taken from the socket address when omitted
    */
-  connectPeer (socketOrPeer) {
+  connectPeer (socketOrPeer, remoteHost = null) {
     // Here is the processing for when a connection is made in
     let peer
-    let remoteHost
 
     if (socketOrPeer instanceof Peer) {
       peer = socketOrPeer
+
+      const reason = this._peers().includes(peer) ? null : this._limitReason(peer._host, true)
+
+      if (reason !== null) {
+        peer.destroy()
+        this._rejectPeer(peer, peer._host.object, reason)
+        return
+      }
+
+      peer._listenHost = peer._host
       remoteHost = peer._host.object
+
+      // Peers that have not connected yet speak for this Node
+      if (peer.state === null) {
+        peer._identity = this._identity
+        peer._listenPort = this.port
+
+        peer._capabilities = peer._capabilities.concat(NODE_CAPABILITIES.filter((capability) => !CAPABILITIES.includes(capability) && !peer._capabilities.includes(capability)))
+      }
     } else {
       const socket = socketOrPeer
-      remoteHost = socket.address()
-      peer = new Peer(new Host(remoteHost.address, remoteHost.port))
-      peer._keypair = this._keypair
+      const host = remoteHost || new Host(socket.remoteAddress, socket.remotePort)
+      const reason = this._rejectReason(host) || this._limitReason(host, false)
+
+      // Refuse filtered and banned addresses before spending any effort on them
+      if (reason !== null) {
+        socket.destroy()
+        this._rejectPeer(null, host.object, reason)
+        return
+      }
+
+      peer = new Peer(host, this._header, this._bufferSize, 0, this._peerOptions())
+      peer._listenHost = null
+      remoteHost = peer._host.object
+      peer.generateKeypair()
       peer.connect(socket)
     }
 
-    peer.hash = crypto.createHash('md5').update((new Date() / 1).toString()).digest('hex')
+    // Requests from any connected peer are answered by this Node's handlers, messages decoded with its codecs
+    peer._handlers = this._handlers
+    peer._commands = this._commands
+    peer._received = this._received
+
+    // Nodes we dial tell us which other Nodes they know about
+    if (peer._listenHost !== null) {
+      if (peer.state === 'connected') {
+        this._requestPeers(peer)
+      } else {
+        peer.on('connect', () => this._requestPeers(peer))
+      }
+
+      peer.on('reconnected', () => this._requestPeers(peer))
+    }
+
+    peer.on('handshake', () => this._addPeer(peer, remoteHost))
+
+    if (peer.id !== null && peer.state === 'connected') {
+      this._addPeer(peer, remoteHost)
+    } else {
+      this._pendingPeers.add(peer)
+
+      // Pending peers count against the limits, so they only get so long to prove themselves
+      const timer = setTimeout(() => {
+        if (this._pendingPeers.has(peer)) {
+          peer.destroy()
+          this._rejectPeer(peer, remoteHost, 'Handshake timed out')
+        }
+      }, this._limits.handshakeTimeout)
 
-    this._peerList[peer.hash] = peer
+      peer.on('handshake', () => clearTimeout(timer))
+      peer.on('close', () => clearTimeout(timer))
+    }
 
     peer.on('message', (data) => {
-      // Forward this peer's message on to the Node server itself and its listeners
-      this._eventEmitter.emit('message', data)
+      if (data.command === 'FLOOD') {
+        this._processFlood(data)
+      } else if (data.command === 'ROUTES') {
+        this._processRoutes(data)
+      } else if (data.command === 'ROUTE') {
+        this._processRoute(data)
+      } else if (data.command === 'SUBSCRIBE') {
+        this._processSubscribe(data)
+      } else if (data.command === 'PUBLISH') {
+        this._processPublish(data)
+      } else {
+        // Forward this peer's message on to the Node server itself and its listeners
+        this._emitMessage(data)
+      }
+    })
+
+    peer.on('invalid', (data) => {
+      this._eventEmitter.emit('invalid', data)
+    })
+
+    peer.on('goodbye', (data) => {
+      this._eventEmitter.emit('goodbye', data)
+    })
+
+    peer.on('stream', (data) => {
+      // Forward incoming streams to the Node listeners as well
+      this._eventEmitter.emit('stream', data)
     })
 
     peer.on('end', () => {
       // Just delete the peer connection, it will reconnect if it wants to
-      delete this._peerList[peer.hash]
+      this._removePeer(peer)
       this._eventEmitter.emit('end', {
         peer: peer
       })
@@ -476,63 +2884,346 @@ class Node {
 
     peer.on('error', () => {
       // Just delete the peer connection, it will reconnect if it wants to
-      delete this._peerList[peer.hash]
+      this._removePeer(peer)
       this._eventEmitter.emit('error', {
         peer: peer
       })
     })
 
-    this._eventEmitter.emit('peerConnected', {
-      peer: peer,
-      peerHash: peer.hash,
-      remoteHost: remoteHost
+    peer.on('timeout', () => {
+      // The peer stopped answering pings, its connection is closed
+      this._removePeer(peer)
+      this._eventEmitter.emit('timeout', {
+        peer: peer
+      })
+    })
+
+    peer.on('protocolError', (data) => {
+      this._eventEmitter.emit('protocolError', data)
+    })
+
+    peer.on('unverified', (data) => {
+      this._eventEmitter.emit('unverified', data)
+    })
+
+    peer.on('banned', (data) => {
+      this.ban(peer, data.duration, data.reason)
+    })
+
+    peer.on('rateLimit', (data) => {
+      this._eventEmitter.emit('rateLimit', data)
+    })
+
+    peer.on('close', () => {
+      this._removePeer(peer)
     })
   }
 
   /**
    * Broadcast data packets to all connected peers
    * @param {String} command - Maximum 12 character command string
-   * @param {String} data - String to broadcast
+   * @param {*} data - Payload encoded with the codec of the command
    */
   broadcast (command, data) {
-    if (Object.keys(this._peerList).length > 0) {
-      for (const peerHash in this._peerList) {
-        this._peerList[peerHash].send(command, data)
+    for (const peer of this._peers()) {
+      peer.send(command, data)
+    }
+  }
+
+  /**
+   * Send data packets to a single Node by its id. Connected peers are sent to directly, other Nodes through the
+   * neighbors announcing the shortest route to them. Nodes on the way that cannot pass the message on report back
+   * with an 'unreachable' event
+   * @param {String} peerId - Id of the destination Node
+   * @param {String} command - Maximum 12 character command string
+   * @param {*} [data=null] - Payload encoded with the codec of the command
+   * @param {Object} [options={}] - Send options
+   * @param {Number} [options.ttl=16] - Maximum number of hops a routed message travels
+   * @returns {Boolean} Whether the message was handed to the peer or the next hop, rejects when no route is known
+   */
+  async sendTo (peerId, command, data = null, { ttl = MAX_ROUTE_HOPS } = {}) {
+    const route = this._routes().get(peerId)
+
+    if (route === undefined) {
+      throw new Error(`No route to ${peerId}`)
+    }
+
+    if (route.hops === 1) {
+      return route.peer.send(command, data)
+    }
+
+    return route.peer.send('ROUTE', this._routeEnvelope(ROUTE_DATA, ttl, this.id, peerId, command, this._commands.encode(command, data)))
+  }
+
+  /**
+   * Ban a peer or host. Connections from its address, and for peers also from its identity, are refused and existing
+   * ones closed until the ban expires. Peers on local transports share the address of the endpoint they connected to,
+   * they are banned by identity only. Fires a 'banned' event
+   * @param {Peer|Host} peerOrHost - Peer or Host to ban
+   * @param {Number} [durationMs=3600000] - Milliseconds the ban lasts
+   * @param {String} [reason='Banned'] - Reason reported with the 'banned' event
+   */
+  ban (peerOrHost, durationMs = DEFAULT_BAN_DURATION, reason = 'Banned') {
+    const host = peerOrHost instanceof Peer ? peerOrHost._host : peerOrHost
+    const id = peerOrHost instanceof Peer ? peerOrHost.id : null
+    const expires = Date.now() + durationMs
+
+    // Every client of a unix socket or memory endpoint has the same address, banning it would ban all of them
+    const address = peerOrHost instanceof Peer && !this._isIP(host) ? null : host.address
+
+    // Remember the address, and the identity when we know it, so neither can dial in nor be dialed
+    if (address !== null) {
+      this._bans[address] = expires
+    }
+
+    if (id !== null) {
+      this._bans[id] = expires
+    }
+
+    for (const peer of this._peers()) {
+      if ((address !== null && peer._host.address === address) || (id !== null && peer.id === id)) {
+        this._removePeer(peer)
+        peer.destroy()
       }
     }
+
+    this._eventEmitter.emit('banned', {
+      peer: peerOrHost instanceof Peer ? peerOrHost : null,
+      address: address,
+      id: id,
+      duration: durationMs,
+      reason: reason
+    })
   }
 
   /**
-   * Get the keypair for this Node
+   * Lift the ban of a peer or host
+   * @param {Peer|Host} peerOrHost - Peer or Host banned before
    */
-  get keypair () {
-    return this._keypair
+  unban (peerOrHost) {
+    const host = peerOrHost instanceof Peer ? peerOrHost._host : peerOrHost
+
+    delete this._bans[host.address]
+
+    if (peerOrHost instanceof Peer && peerOrHost.id !== null) {
+      delete this._bans[peerOrHost.id]
+    }
+  }
+
+  /**
+   * Register a handler answering requests for a command from any connected peer
+   * @param {String} command - Maximum 12 characters command string
+   * @param {Function} handler - Called with (data, peer), its (async) return value String or Buffer is sent back as the reply
+   */
+  handle (command, handler) {
+    this._handlers[command] = handler
+  }
+
+  /**
+   * Choose the codec of a command and validate its payloads for every peer of this Node, see
+   * {@link module:peer-node.Peer#defineCommand}
+   * @param {String} command - Maximum 12 characters command string
+   * @param {Object} definition - Command definition with optional codec and validate
+   */
+  defineCommand (command, definition) {
+    this._commands.define(command, definition)
+  }
+
+  /**
+   * Flood data packets to every Node in the network. Each Node delivers the message once as a 'message' event and
+   * passes it on to its other peers until the ttl is reached
+   * @param {String} command - Maximum 12 character command string
+   * @param {*} [data=null] - Payload encoded with the codec of the command
+   * @param {Object} [options={}] - Flood options
+   * @param {Number} [options.ttl] - Maximum number of hops the message travels, defaults to the Node flood ttl
+   * @returns {String} Unique id of the flooded message
+   */
+  flood (command, data = null, { ttl = this._flood.ttl } = {}) {
+    const id = crypto.randomBytes(FLOOD_ID_LENGTH)
+    const header = Buffer.alloc(FLOOD_HEADER_LENGTH)
+
+    id.copy(header, 0)
+    header.writeUInt8(1, FLOOD_ID_LENGTH)
+    header.writeUInt8(Math.min(ttl, 255), FLOOD_ID_LENGTH + 1)
+    header.write(command.slice(0, 12), FLOOD_ID_LENGTH + 2)
+
+    // Our own message coming back around the network is a duplicate too
+    this._markSeen(id.toString('hex'))
+    this._forwardFlood(Buffer.concat([header, this._commands.encode(command, data)]), null)
+
+    return id.toString('hex')
+  }
+
+  /**
+   * Subscribe to a topic. Neighbors learn about the subscription and pass it on, so messages published anywhere in
+   * the network travel towards this Node
+   * @param {String} topic - Dot separated topic such as 'blocks.new', '*' matches one segment and a trailing '#' the rest
+   * @param {Function} handler - Called with { peer, topic, data, from, id, hops } for every matching message
+   */
+  subscribe (topic, handler) {
+    if (!this._subscriptions.has(topic)) {
+      this._subscriptions.set(topic, new Set())
+    }
+
+    this._subscriptions.get(topic).add(handler)
+    this._announceInterests()
+  }
+
+  /**
+   * Stop receiving messages of a topic
+   * @param {String} topic - Topic as subscribed to
+   * @param {Function} [handler] - Handler to remove, all handlers of the topic when omitted
+   */
+  unsubscribe (topic, handler) {
+    const subscribers = this._subscriptions.get(topic)
+
+    if (subscribers === undefined) return
+
+    if (handler !== undefined) {
+      subscribers.delete(handler)
+    }
+
+    if (handler === undefined || subscribers.size === 0) {
+      this._subscriptions.delete(topic)
+      this._announceInterests()
+    }
+  }
+
+  /**
+   * Publish data to the subscribers of a topic. The message only travels along paths leading to a subscriber and
+   * is delivered to each of them once, not to this Node's own subscribers
+   * @param {String} topic - Dot separated topic without wildcards, at most 255 bytes
+   * @param {*} [data=null] - Payload encoded with the default codec, or the codec defined for the topic name
+   * @param {Object} [options={}] - Publish options
+   * @param {Number} [options.ttl] - Maximum number of hops the message travels, defaults to the Node flood ttl
+   * @returns {String} Unique id of the published message
+   */
+  publish (topic, data = null, { ttl = this._flood.ttl } = {}) {
+    const name = Buffer.from(topic)
+
+    if (name.length === 0 || name.length > MAX_TOPIC_LENGTH || topic.split('.').some((segment) => segment === '*' || segment === '#')) {
+      throw new Error(`Invalid topic ${topic}`)
+    }
+
+    const id = crypto.randomBytes(PUBLISH_ID_LENGTH)
+    const header = Buffer.alloc(PUBLISH_TOPIC_OFFSET)
+
+    id.copy(header, 0)
+    header.writeUInt8(1, PUBLISH_ID_LENGTH)
+    header.writeUInt8(Math.min(ttl, 255), PUBLISH_ID_LENGTH + 1)
+    header.write(this.id, PUBLISH_SOURCE_OFFSET, 'hex')
+    header.writeUInt8(name.length, PUBLISH_TOPIC_OFFSET - 1)
+
+    this._markSeen(id.toString('hex'))
+    this._forwardPublish(Buffer.concat([header, name, this._commands.encode(topic, data)]), topic, null)
+
+    return id.toString('hex')
+  }
+
+  /**
+   * Get the id of this Node's identity
+   */
+  get id () {
+    return this._identity.id
+  }
+
+  /**
+   * Get the distributed hash table shared with the other Nodes of the network
+   */
+  get dht () {
+    return this._dht
+  }
+
+  /**
+   * Get the identity this Node proves to its peers
+   */
+  get identity () {
+    return this._identity
+  }
+
+  /**
+   * Get the Nodes reachable from here as a list of { id, via, hops }, via being the id of the next hop
+   */
+  get routes () {
+    return Array.from(this._routes(), ([id, route]) => ({ id: id, via: route.peer.id, hops: route.hops }))
+  }
+
+  /**
+   * Get the Hosts of all Nodes in the address book
+   */
+  get addresses () {
+    return Object.values(this._addressBook).map((entry) => entry.host)
   }
 
-  async stop () {
+  /**
+   * Stop the Node. It stops accepting connections and says goodbye to every peer, waiting for what was sent to them
+   * to go out. Connections still open after the timeout are destroyed, resolves once all of them are closed
+   * @param {Object} [options={}] - Stop options
+   * @param {Number} [options.timeout=5000] - Milliseconds to wait for the peers to close gracefully
+   * @param {String} [options.reason='shutdown'] - Reason given to the peers
+   */
+  async stop ({ timeout = 5000, reason = 'shutdown' } = {}) {
+    if (this._discoveryTimer !== null) {
+      clearInterval(this._discoveryTimer)
+      this._discoveryTimer = null
+    }
+
+    let closed = Promise.resolve()
+
+    // Nobody new gets in while we say goodbye, the server is closed once the last connection is
     if (this._server !== null) {
+      const server = this._server
+
       this._state = 'closing'
-      await this._server.close()
       this._server = null
+      closed = new Promise((resolve) => server.close(() => resolve()))
+    }
+
+    await this._dht.stop()
+
+    // Abandon connections that are still being dialed
+    for (const key in this._dialing) {
+      await this._dialing[key].destroy()
+      delete this._dialing[key]
+    }
+
+    await Promise.all(Object.values(this._peerList).map((peer) => peer.goodbye(reason, { timeout })))
+
+    // Whatever is still open past the deadline, including peers that connected meanwhile, is destroyed
+    for (const peer of this._peers()) {
+      if (peer.state !== 'closed') {
+        await peer.destroy()
+      }
+    }
+
+    await closed
+
+    if (this._state === 'closing') {
       this._state = 'closed'
     }
   }
 
   /**
-   * Start the Peer Node service and listen for incoming Peer connections. Fires 'nodeListening' event on success
+   * Start the Peer Node service and listen for incoming Peer connections. Fires 'nodeListening' event on success.
+   * While listening the Node exchanges addresses with the Nodes it knows and keeps up to the target number of
+   * outbound connections
    */
   listen () {
     this._state = 'connecting'
-    this._inBuffer = Buffer.alloc(this._bufferSize)
-    this._inCursor = 0
 
     if (this._server === null) {
-      this._server = net.createServer(this.connectPeer.bind(this))
+      this._server = getTransport(this._host.transport).listen(this._host, { tls: this._tls }, this.connectPeer.bind(this), () => {
+        // Start discovering the network, beginning with the seeds we were given
+        this._discoveryTimer = setInterval(this._maintainPeers.bind(this), this._discovery.interval)
+        this._maintainPeers()
 
-      this._server.listen(this._host.port, () => {
         // Emit an event saying that the node is listening, #magic
         this._eventEmitter.emit('nodeListening')
       })
+
+      this._server.on('tlsClientError', (err, socket) => {
+        this._rejectPeer(null, socket.remoteAddress ? new Host(socket.remoteAddress, socket.remotePort).object : null, `TLS handshake failed: ${err.message}`)
+      })
     }
   }
 
@@ -554,5 +3245,13 @@ class Node {
 }
 
 exports.Host = Host
+exports.registerTransport = registerTransport
+exports.registerCodec = registerCodec
+exports.Identity = Identity
+exports.FrameDecoder = FrameDecoder
+exports.DHT = DHT
+exports.MemoryOutboxStore = MemoryOutboxStore
+exports.FileOutboxStore = FileOutboxStore
 exports.Peer = Peer
 exports.Node = Node
+exports.BrowserPeer = BrowserPeer
@@ -0,0 +1,126 @@
+'use strict'
+
+/**
+ * Outbox stores keeping reliably sent messages until the remote acknowledged them
+ * @author Nathaniel Thomas
+ * @module peer-node
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+/**
+ * Outbox store held in memory, surviving reconnects but not the process. A store is a pair of methods,
+ * load (key) returning the saved state or null and save (key, state), either of which may return a Promise.
+ * The state is { epoch, sequence, messages } with messages a list of { seq, command, data }, keys are remote ids
+ * @class
+ * @memberof module:peer-node
+ */
+class MemoryOutboxStore {
+  /**
+   * @constructor
+   * @returns {Object} MemoryOutboxStore Instance
+   */
+  constructor () {
+    this._states = new Map()
+  }
+
+  /**
+   * Load the outbox of a remote
+   * @param {String} key - Id of the remote
+   * @returns {Object} Saved state, null when nothing was saved
+   */
+  load (key) {
+    const state = this._states.get(key)
+
+    return state === undefined ? null : Object.assign({}, state, { messages: state.messages.slice() })
+  }
+
+  /**
+   * Save the outbox of a remote
+   * @param {String} key - Id of the remote
+   * @param {Object} state - Sequence number last assigned and the messages not yet acknowledged
+   */
+  save (key, state) {
+    this._states.set(key, Object.assign({}, state, { messages: state.messages.slice() }))
+  }
+}
+
+/**
+ * Outbox store writing one JSON file per remote into a directory, so unacknowledged messages survive a restart.
+ * Every Node or Peer identity needs a directory of its own
+ * @class
+ * @memberof module:peer-node
+ */
+class FileOutboxStore {
+  /**
+   * @constructor
+   * @param {String} directory - Directory holding the outbox files, created when missing
+   * @returns {Object} FileOutboxStore Instance
+   */
+  constructor (directory) {
+    this._directory = directory
+    this._writes = new Map()
+
+    fs.mkdirSync(directory, { recursive: true })
+  }
+
+  _file (key) {
+    return path.join(this._directory, `${key}.json`)
+  }
+
+  /**
+   * Load the outbox of a remote
+   * @param {String} key - Id of the remote
+   * @returns {Object} Saved state, null when nothing was saved
+   */
+  async load (key) {
+    // Let pending writes land first
+    await this._writes.get(key)
+
+    try {
+      const state = JSON.parse(await fs.promises.readFile(this._file(key), 'utf8'))
+
+      return Object.assign(state, {
+        messages: state.messages.map((message) => ({
+          seq: message.seq,
+          command: message.command,
+          data: Buffer.from(message.data, 'base64')
+        }))
+      })
+    } catch (err) {
+      if (err.code === 'ENOENT') return null
+
+      throw err
+    }
+  }
+
+  /**
+   * Save the outbox of a remote. Writes go to a temporary file first so a crash never leaves half a file behind
+   * @param {String} key - Id of the remote
+   * @param {Object} state - Sequence number last assigned and the messages not yet acknowledged
+   */
+  save (key, state) {
+    const file = this._file(key)
+    const contents = JSON.stringify(Object.assign({}, state, {
+      messages: state.messages.map((message) => ({
+        seq: message.seq,
+        command: message.command,
+        data: message.data.toString('base64')
+      }))
+    }))
+
+    // Writes of the same outbox happen one after the other, in the order they were made
+    const write = Promise.resolve(this._writes.get(key)).then(async () => {
+      await fs.promises.writeFile(`${file}.tmp`, contents)
+      await fs.promises.rename(`${file}.tmp`, file)
+    })
+
+    this._writes.set(key, write.catch(() => {}))
+
+    return write
+  }
+}
+
+exports.MemoryOutboxStore = MemoryOutboxStore
+exports.FileOutboxStore = FileOutboxStore
@@ -0,0 +1,229 @@
+'use strict'
+
+/**
+ * Transport definitions for Node.js, browsers reach the WebSocket transport through browser.js
+ * @author Nathaniel Thomas
+ * @module peer-node
+ */
+
+const EventEmitter = require('events')
+const http = require('http')
+const https = require('https')
+const net = require('net')
+const tls = require('tls')
+const { Duplex } = require('stream')
+const WebSocket = require('ws')
+const Host = require('./host')
+
+const transports = {}
+
+// Transports whose addresses mean the same thing on every machine, the only ones dialed on the word of a remote
+const SHARED_TRANSPORTS = ['tcp', 'ws']
+
+// Servers of the in-memory transport by name
+const memoryServers = new Map()
+
+/**
+ * Register a transport, used by every Host whose transport matches the name. A transport is an object with two methods:
+ * connect (host, options, onConnect) returns a duplex stream and calls onConnect once the stream is open,
+ * listen (host, options, onConnection, onListening) returns a server with a close (callback) method and calls
+ * onConnection (stream, remoteHost) for every accepted connection. options.tls carries the TLS settings if any
+ * @param {String} name - Transport name such as 'tcp'
+ * @param {Object} transport - Transport implementation
+ * @memberof module:peer-node
+ */
+function registerTransport (name, transport) {
+  transports[name] = transport
+}
+
+/**
+ * Get a registered transport
+ * @param {String} name - Transport name
+ * @returns {Object} Transport implementation
+ * @memberof module:peer-node
+ */
+function getTransport (name) {
+  if (transports[name] === undefined) {
+    throw new Error(`Unknown transport ${name}`)
+  }
+
+  return transports[name]
+}
+
+// Resolve the candidates of a Host when connecting and let happy eyeballs race the A and AAAA records
+function tcpConnectOptions (host) {
+  if (host.addresses.length === 1 && host.family !== 'hostname') {
+    return { host: host.address, port: host.port }
+  }
+
+  return {
+    host: host.addresses.join(','),
+    port: host.port,
+    autoSelectFamily: true,
+    lookup: (hostname, options, callback) => {
+      host.resolve().then((addresses) => {
+        if (options.all) {
+          callback(null, addresses)
+        } else {
+          callback(null, addresses[0].address, addresses[0].family)
+        }
+      }, callback)
+    }
+  }
+}
+
+registerTransport('tcp', {
+  connect (host, options, onConnect) {
+    const connectOptions = tcpConnectOptions(host)
+
+    if (options.tls) {
+      // Certificates are checked against the name we asked for, not the address it resolved to
+      const servername = host.family === 'hostname' ? host.address : undefined
+
+      return tls.connect(Object.assign({ servername }, options.tls, connectOptions), onConnect)
+    }
+
+    return net.createConnection(connectOptions, onConnect)
+  },
+
+  listen (host, options, onConnection, onListening) {
+    const accept = (socket) => onConnection(socket, new Host(socket.remoteAddress, socket.remotePort))
+
+    // Mutual authentication unless told otherwise
+    const server = options.tls
+      ? tls.createServer(Object.assign({ requestCert: true, rejectUnauthorized: true }, options.tls), accept)
+      : net.createServer(accept)
+
+    server.listen(host.port, onListening)
+
+    return server
+  }
+})
+
+registerTransport('unix', {
+  connect (host, options, onConnect) {
+    return net.createConnection(host.address, onConnect)
+  },
+
+  listen (host, options, onConnection, onListening) {
+    // Clients of a socket file are anonymous, they are known by the path they connected to
+    const server = net.createServer((socket) => onConnection(socket, new Host(host.uri)))
+
+    server.listen(host.address, onListening)
+
+    return server
+  }
+})
+
+registerTransport('ws', {
+  connect (host, options, onConnect) {
+    const ws = new WebSocket(host.uri, options.tls || {})
+
+    ws.on('open', onConnect)
+
+    return WebSocket.createWebSocketStream(ws)
+  },
+
+  listen (host, options, onConnection, onListening) {
+    const server = options.tls ? https.createServer(options.tls) : http.createServer()
+    const wss = new WebSocket.Server({ server, path: host.path })
+
+    wss.on('connection', (ws, request) => {
+      const remote = new Host(request.socket.remoteAddress)
+      const address = remote.family === 'IPv6' ? `[${remote.address}]` : remote.address
+
+      onConnection(WebSocket.createWebSocketStream(ws), new Host(`ws://${address}:${request.socket.remotePort}`))
+    })
+
+    server.listen(host.port, onListening)
+
+    // Close the WebSocket server along with the HTTP server carrying it
+    const close = server.close.bind(server)
+
+    server.close = (callback) => {
+      wss.close()
+      return close(callback)
+    }
+
+    return server
+  }
+})
+
+// Two duplex streams writing into each other, the in-memory equivalent of a connected socket pair
+function memoryPair () {
+  const sides = [0, 1].map(() => new Duplex({
+    allowHalfOpen: false,
+    read () {},
+    write (chunk, encoding, callback) {
+      this.remote.push(chunk)
+      callback()
+    },
+    final (callback) {
+      this.remote.push(null)
+      callback()
+    },
+    destroy (err, callback) {
+      this.remote.destroy()
+      callback(err)
+    }
+  }))
+
+  sides[0].remote = sides[1]
+  sides[1].remote = sides[0]
+
+  return sides
+}
+
+class MemoryServer extends EventEmitter {
+  constructor (name, onConnection) {
+    super()
+    this._name = name
+    this.onConnection = onConnection
+  }
+
+  close (callback) {
+    memoryServers.delete(this._name)
+
+    if (callback) process.nextTick(callback)
+
+    return this
+  }
+}
+
+registerTransport('memory', {
+  connect (host, options, onConnect) {
+    const [local, remote] = memoryPair()
+
+    // Connect asynchronously like any other transport so listeners can be attached first
+    process.nextTick(() => {
+      const server = memoryServers.get(host.address)
+
+      if (server === undefined) {
+        local.destroy(new Error(`Nothing listening on ${host.uri}`))
+        return
+      }
+
+      server.onConnection(remote, new Host(host.uri))
+      onConnect()
+    })
+
+    return local
+  },
+
+  listen (host, options, onConnection, onListening) {
+    if (memoryServers.has(host.address)) {
+      throw new Error(`Address in use: ${host.uri}`)
+    }
+
+    const server = new MemoryServer(host.address, onConnection)
+
+    memoryServers.set(host.address, server)
+    process.nextTick(onListening)
+
+    return server
+  }
+})
+
+exports.registerTransport = registerTransport
+exports.getTransport = getTransport
+exports.SHARED_TRANSPORTS = SHARED_TRANSPORTS
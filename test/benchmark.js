@@ -0,0 +1,117 @@
+'use strict'
+
+/**
+ * Receive path benchmark: memory held by idle peers and throughput of busy ones
+ * Usage: node --expose-gc test/benchmark.js [idlePeers=200] [busyPeers=20] [messages=200] [messageSize=65536]
+ * @author Nathaniel Thomas
+ */
+
+const p2p = require('../src/index')
+
+const idlePeers = parseInt(process.argv[2] || 200)
+const busyPeers = parseInt(process.argv[3] || 20)
+const messages = parseInt(process.argv[4] || 200)
+const messageSize = parseInt(process.argv[5] || 65536)
+
+const host = new p2p.Host('127.0.0.1', 6100)
+
+function memory () {
+  if (global.gc) global.gc()
+
+  const usage = process.memoryUsage()
+
+  return { rss: usage.rss, arrayBuffers: usage.arrayBuffers }
+}
+
+function megabytes (bytes) {
+  return `${(bytes / 1048576).toFixed(1)} MB`
+}
+
+function connect (count) {
+  return Promise.all(Array.from({ length: count }, () => new Promise((resolve) => {
+    const peer = new p2p.Peer(host, undefined, undefined, undefined, { reconnect: false, keepalive: false })
+
+    peer.on('handshake', () => resolve(peer))
+    peer.connect()
+  })))
+}
+
+async function idle (node) {
+  const before = memory()
+  const peers = await connect(idlePeers)
+  const after = memory()
+
+  console.log(`Idle: ${idlePeers} peers`)
+  console.log(`  rss           +${megabytes(after.rss - before.rss)} (${megabytes((after.rss - before.rss) / idlePeers)} per peer)`)
+  console.log(`  arrayBuffers  +${megabytes(after.arrayBuffers - before.arrayBuffers)}`)
+
+  return peers
+}
+
+async function busy (node) {
+  const peers = await connect(busyPeers)
+  const total = busyPeers * messages
+  const data = Buffer.alloc(messageSize, 1)
+  let received = 0
+  let peak = memory()
+
+  const done = new Promise((resolve) => {
+    node.on('message', () => {
+      if (++received === total) resolve()
+    })
+  })
+
+  const sampler = setInterval(() => {
+    const usage = process.memoryUsage()
+
+    if (usage.rss > peak.rss) peak = { rss: usage.rss, arrayBuffers: usage.arrayBuffers }
+  }, 50)
+
+  const start = process.hrtime.bigint()
+
+  // Every peer writes as fast as its socket accepts the data
+  await Promise.all(peers.map(async (peer) => {
+    for (let i = 0; i < messages; i++) {
+      await peer.send('BENCH', data)
+    }
+  }))
+
+  await done
+
+  const seconds = Number(process.hrtime.bigint() - start) / 1e9
+
+  clearInterval(sampler)
+
+  console.log(`Busy: ${busyPeers} peers sending ${messages} messages of ${messageSize} bytes`)
+  console.log(`  throughput    ${megabytes(total * messageSize / seconds)}/s, ${Math.round(total / seconds)} messages/s`)
+  console.log(`  peak rss      ${megabytes(peak.rss)}`)
+
+  return peers
+}
+
+async function run () {
+  const node = new p2p.Node(host, undefined, undefined, {
+    keepalive: false,
+    discovery: { targetOutbound: 0 },
+    limits: { maxInbound: idlePeers + busyPeers, maxPerAddress: idlePeers + busyPeers }
+  })
+
+  await new Promise((resolve) => {
+    node.on('nodeListening', resolve)
+    node.listen()
+  })
+
+  const peers = (await idle(node)).concat(await busy(node))
+
+  for (const peer of peers) {
+    await peer.destroy()
+  }
+
+  await node.stop()
+
+  for (const id in node._peerList) {
+    await node._peerList[id].destroy()
+  }
+}
+
+run()
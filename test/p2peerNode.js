@@ -12,6 +12,9 @@ Node.on(
   'peerConnected',
   data => {
     console.log(`Peer connected: hash = ${data.peerHash}, ${data.remoteHost.port}`)
+
+    // Say hello to every Node in the network, not just the ones connected to us
+    Node.flood('HELLO-ALL', `Hello from ${LocalHost.port}`)
   }
 )
 
@@ -29,14 +32,10 @@ Peer.on(
   () => console.log('Connected to the host! Huzzah!!')
 )
 
-Peer.on(
+// Messages flooded with Node.flood are passed forward by the Node itself, duplicates are dropped
+Node.on(
   'message',
-  payload => {
-    console.log(payload.data.toString())
-
-    // Pass it forward
-    Node.broadcast(payload.command, payload.data)
-  }
+  payload => console.log(payload.command, payload.hops, payload.data.toString())
 )
 
 Peer.on('end', (data) => {
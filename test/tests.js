@@ -1,4 +1,4 @@
-/* global describe beforeEach it afterEach */
+/* global describe before beforeEach it afterEach */
 
 'use strict'
 
@@ -12,6 +12,12 @@
 // console.log('...within 10 seconds the p2node will send encrypted broadcasts to all connected p2peers')
 
 const peerNode = require('../src/index')
+const crypto = require('crypto')
+const fs = require('fs')
+const net = require('net')
+const os = require('os')
+const path = require('path')
+const { Readable } = require('stream')
 const chai = require('chai')
 
 chai.should()
@@ -32,6 +38,49 @@ describe('Host Tests', () => {
 
     host.family.should.equal('IPv6')
   })
+  it('should describe hostnames and other transports', () => {
+    new peerNode.Host('example.com', 4000).family.should.equal('hostname')
+
+    const unix = new peerNode.Host('unix:/tmp/peer.sock')
+    unix.transport.should.equal('unix')
+    unix.address.should.equal('/tmp/peer.sock')
+
+    const ws = new peerNode.Host('wss://[::1]:8080/peer')
+    ws.transport.should.equal('ws')
+    ws.family.should.equal('IPv6')
+    ws.port.should.equal(8080)
+    ws.path.should.equal('/peer')
+    ws.uri.should.equal('wss://[::1]:8080/peer')
+
+    new peerNode.Host('memory:test').object.should.deep.equal({ address: 'test', family: 'memory', port: null, transport: 'memory' })
+    new peerNode.Host('tcp://10.1.1.1:3000').uri.should.equal('peer://10.1.1.1:3000')
+    ;(() => new peerNode.Host('not a host!')).should.throw('Unknown address family')
+  })
+  it('should not mistake hostnames containing localhost for it', () => {
+    const host = new peerNode.Host('db1.localhost.example')
+
+    host.family.should.equal('hostname')
+    host.address.should.equal('db1.localhost.example')
+  })
+  it('should serialize to and from a peer URI', () => {
+    const host = new peerNode.Host(['db1.internal', '::1', '10.1.1.1'], 4000)
+
+    host.uri.should.equal('peer://db1.internal,[::1],10.1.1.1:4000')
+    JSON.stringify({ host }).should.equal('{"host":"peer://db1.internal,[::1],10.1.1.1:4000"}')
+
+    const parsed = new peerNode.Host(host.uri)
+
+    parsed.addresses.should.deep.equal(['db1.internal', '::1', '10.1.1.1'])
+    parsed.port.should.equal(4000)
+    new peerNode.Host('peer://10.1.1.1').port.should.equal(5744)
+  })
+  it('should resolve every candidate address in order', async () => {
+    const host = new peerNode.Host(['nowhere.invalid', '::1', '127.0.0.1'], 4000)
+
+    const addresses = await host.resolve()
+
+    addresses.should.deep.equal([{ address: '::1', family: 6 }, { address: '127.0.0.1', family: 4 }])
+  })
   it('should throw error for Invalid Host Address', () => {
     try {
       const host = new peerNode.Host('hoobleedooble')
@@ -88,7 +137,7 @@ describe('Peer to Host Tests', () => {
     peer.generateKeypair()
 
     peer.on('message', async (payload) => {
-      payload.data.should.equal('Here is your test message')
+      payload.data.toString().should.equal('Here is your test message')
       // console.log(data)
       await peer.disconnect()
       done()
@@ -101,7 +150,2532 @@ describe('Peer to Host Tests', () => {
     peer.connect()
   })
 
+  it('should encrypt payloads larger than a single key block', (done) => {
+    const peer = new peerNode.Peer(testHost)
+    const data = crypto.randomBytes(65536)
+
+    peer.generateKeypair()
+
+    node.on('message', async (payload) => {
+      payload.peer.secure.should.equal(true)
+      payload.data.equals(data).should.equal(true)
+      await peer.disconnect()
+      done()
+    })
+
+    peer.on('connect', async () => {
+      await peer.send('TEST', data)
+    })
+
+    peer.connect()
+  })
+
+  it('should emit an error instead of a message when decryption fails', (done) => {
+    const peer = new peerNode.Peer(testHost)
+
+    peer.generateKeypair()
+
+    node.on('message', () => done(new Error('Tampered message was delivered')))
+
+    node.on('error', async () => {
+      await peer.disconnect()
+      done()
+    })
+
+    peer.on('secure', async () => {
+      // Corrupt the session key so the remote cannot authenticate the payload
+      peer._session.sendKey = crypto.randomBytes(32)
+      await peer.send('TEST', 'This will not authenticate')
+    })
+
+    peer.connect()
+  })
+
+  it('should reject encrypted frames replayed on the wire', (done) => {
+    const peer = new peerNode.Peer(testHost, undefined, undefined, undefined, { reconnect: false })
+    let delivered = 0
+    let failed = false
+
+    peer.generateKeypair()
+
+    node.on('message', () => delivered++)
+
+    node.on('error', () => {
+      failed = true
+    })
+
+    // The session cannot recover from a frame that failed to authenticate, so the connection is closed
+    peer.on('close', () => {
+      failed.should.equal(true)
+      delivered.should.equal(1)
+      node._peerList.should.deep.equal({})
+      done()
+    })
+
+    peer.on('handshake', async () => {
+      const socket = peer._socket
+      const write = socket.write.bind(socket)
+      let frame = null
+
+      socket.write = (buffer, encoding) => {
+        frame = buffer
+        return write(buffer, encoding)
+      }
+
+      await peer.send('TEST', 'Delivered once')
+      await write(frame, null)
+    })
+
+    peer.connect()
+  })
+
+  it('should not negotiate a new session key after the handshake', (done) => {
+    const peer = new peerNode.Peer(testHost, undefined, undefined, undefined, { reconnect: false })
+
+    peer.generateKeypair()
+    peer.on('error', () => {})
+
+    node.on('peerConnected', (data) => {
+      const receiveKey = data.peer._session.receiveKey
+
+      node.on('protocolError', (error) => {
+        error.reason.should.equal('Received SECURE after the handshake completed')
+        data.peer._session.receiveKey.should.equal(receiveKey)
+      })
+
+      data.peer.on('close', () => done())
+
+      const { publicKey } = crypto.generateKeyPairSync('x25519')
+
+      peer.send('SECURE', publicKey.export({ type: 'spki', format: 'pem' }))
+    })
+
+    peer.connect()
+  })
+
+  afterEach(async () => {
+    await node.stop()
+  })
+})
+
+describe('Request Tests', () => {
+  let node
+  const testHost = new peerNode.Host('localhost', 3000)
+
+  beforeEach(() => {
+    node = new peerNode.Node(testHost)
+
+    node.handle('ECHO', async (data, peer) => `echo ${data.toString()}`)
+    node.handle('FAIL', async () => {
+      throw new Error('Handler failed')
+    })
+    node.handle('WAIT', () => new Promise(() => {}))
+    node.handle('COUNT', () => 42)
+
+    node.listen()
+  })
+
+  it('should resolve a request with the reply of the remote handler', (done) => {
+    const peer = new peerNode.Peer(testHost)
+
+    peer.generateKeypair()
+
+    peer.on('connect', async () => {
+      const reply = await peer.request('ECHO', 'hello')
+
+      reply.toString().should.equal('echo hello')
+      await peer.disconnect()
+      done()
+    })
+
+    peer.connect()
+  })
+
+  it('should reject a request with the remote error', (done) => {
+    const peer = new peerNode.Peer(testHost)
+
+    peer.on('connect', async () => {
+      try {
+        await peer.request('FAIL')
+      } catch (err) {
+        err.message.should.equal('Handler failed')
+        await peer.disconnect()
+        done()
+      }
+    })
+
+    peer.connect()
+  })
+
+  it('should reject a request whose reply cannot be encoded', (done) => {
+    const peer = new peerNode.Peer(testHost)
+
+    peer.on('connect', async () => {
+      try {
+        await peer.request('COUNT', null, { timeout: 1000 })
+      } catch (err) {
+        err.message.should.match(/Received type number \(42\)/)
+        await peer.disconnect()
+        done()
+      }
+    })
+
+    peer.connect()
+  })
+
+  it('should reject a request that times out', (done) => {
+    const peer = new peerNode.Peer(testHost)
+
+    peer.on('connect', async () => {
+      try {
+        await peer.request('WAIT', null, { timeout: 100 })
+      } catch (err) {
+        err.message.should.equal('Request WAIT timed out')
+        await peer.disconnect()
+        done()
+      }
+    })
+
+    peer.connect()
+  })
+
+  it('should reject pending requests when the peer closes', (done) => {
+    const peer = new peerNode.Peer(testHost)
+
+    peer.on('connect', async () => {
+      peer.request('WAIT').catch((err) => {
+        err.message.should.equal('Peer connection closed')
+        done()
+      })
+
+      await peer.disconnect()
+    })
+
+    peer.connect()
+  })
+
+  afterEach(async () => {
+    await node.stop()
+  })
+})
+
+describe('Reconnect Tests', () => {
+  let node
+  const testHost = new peerNode.Host('localhost', 3000)
+
+  beforeEach(() => {
+    node = new peerNode.Node(testHost)
+  })
+
+  it('should retry the initial connection with backoff until the Node listens', (done) => {
+    const peer = new peerNode.Peer(testHost, undefined, undefined, undefined, { reconnect: { initialDelay: 50 } })
+
+    peer.on('reconnecting', (data) => {
+      data.attempt.should.equal(1)
+      node.listen()
+    })
+
+    peer.on('connect', async () => {
+      await peer.disconnect()
+      done()
+    })
+
+    peer.connect()
+  })
+
+  it('should reconnect after the connection drops and flush queued messages', (done) => {
+    const peer = new peerNode.Peer(testHost, undefined, undefined, undefined, { reconnect: { initialDelay: 50, queue: true } })
+    let reconnected = false
+
+    peer.generateKeypair()
+
+    node.on('peerConnected', (data) => {
+      // Drop the first connection from the Node side
+      if (!reconnected) {
+        data.peer.destroy()
+      }
+    })
+
+    node.on('message', async (payload) => {
+      reconnected.should.equal(true)
+      payload.data.toString().should.equal('Queued while disconnected')
+      await peer.disconnect()
+      done()
+    })
+
+    peer.on('reconnecting', () => {
+      peer.send('TEST', 'Queued while disconnected')
+    })
+
+    peer.on('reconnected', () => {
+      reconnected = true
+    })
+
+    node.listen()
+    peer.connect()
+  })
+
+  it('should give up after the maximum number of attempts', (done) => {
+    const peer = new peerNode.Peer(new peerNode.Host('localhost', 3001), undefined, undefined, undefined, {
+      reconnect: { initialDelay: 10, maxAttempts: 2 }
+    })
+    let attempts = 0
+
+    peer.on('reconnecting', () => attempts++)
+
+    peer.on('error', () => {
+      attempts.should.equal(2)
+    })
+
+    peer.on('close', () => {
+      peer.state.should.equal('closed')
+      done()
+    })
+
+    peer.connect()
+  })
+
+  it('should give up on a remote that accepts the connection and drops it', (done) => {
+    const server = net.createServer((socket) => socket.destroy())
+    const peer = new peerNode.Peer(new peerNode.Host('localhost', 3001), undefined, undefined, undefined, {
+      reconnect: { initialDelay: 10, maxAttempts: 3 }
+    })
+    let attempts = 0
+
+    peer.on('reconnecting', () => attempts++)
+
+    peer.on('error', () => {
+      attempts.should.equal(3)
+    })
+
+    peer.on('close', () => {
+      peer.connectionAttempts.should.equal(3)
+      server.close(() => done())
+    })
+
+    server.listen(3001, () => peer.connect())
+  })
+
   afterEach(async () => {
     await node.stop()
   })
 })
+
+describe('Shutdown Tests', () => {
+  let node
+
+  function connect (name, options, callback) {
+    node = new peerNode.Node(new peerNode.Host(`memory:${name}`), undefined, undefined, options)
+
+    node.on('nodeListening', () => {
+      const peer = new peerNode.Peer(new peerNode.Host(`memory:${name}`), undefined, undefined, undefined, Object.assign({
+        reconnect: { initialDelay: 10 }
+      }, options))
+      let connected = false
+
+      node.on('peerConnected', (data) => {
+        if (!connected) {
+          connected = true
+          callback(peer, data.peer)
+        }
+      })
+
+      peer.generateKeypair()
+      peer.connect()
+    })
+
+    node.listen()
+  }
+
+  it('should say goodbye to every peer when the Node stops', (done) => {
+    connect('shutdown-goodbye', {}, async (peer) => {
+      let reason = null
+
+      peer.on('goodbye', (data) => {
+        reason = data.reason
+      })
+      peer.on('reconnecting', () => done(new Error('Reconnected after a goodbye')))
+      peer.on('error', () => done(new Error('Treated a goodbye as an error')))
+
+      await node.stop({ timeout: 1000 })
+
+      reason.should.equal('shutdown')
+      Object.keys(node._peerList).should.deep.equal([])
+      setImmediate(() => {
+        peer.state.should.equal('closed')
+        done()
+      })
+    })
+  })
+
+  it('should wait for reliable messages to be acknowledged', (done) => {
+    connect('shutdown-drain', { reliable: true }, (peer, inbound) => {
+      const acknowledged = inbound.send('TEST', 'Sent right before stopping')
+
+      node.stop().then(async () => {
+        (await acknowledged).should.equal(true)
+        done()
+      })
+    })
+  })
+
+  it('should destroy peers that do not drain within the timeout', (done) => {
+    connect('shutdown-timeout', { reliable: true }, (peer, inbound) => {
+      const started = Date.now()
+      let goodbye = false
+
+      // Nothing sent to the peer is ever acknowledged
+      peer._scheduleAck = () => {}
+      peer.on('goodbye', () => {
+        goodbye = true
+      })
+
+      inbound.send('TEST', 'Never acknowledged').then(() => {})
+
+      node.stop({ timeout: 100 }).then(async () => {
+        (Date.now() - started).should.be.at.least(100)
+        inbound.state.should.equal('closed')
+        goodbye.should.equal(false)
+
+        // Without a goodbye the peer tries to reconnect
+        await peer.destroy()
+        done()
+      })
+    })
+  })
+
+  it('should destroy peers whose connection does not close within the timeout', (done) => {
+    connect('shutdown-close', {}, (peer, inbound) => {
+      const started = Date.now()
+
+      // A remote that stopped reading never lets the connection finish
+      inbound._socket.end = () => new Promise(() => {})
+
+      node.stop({ timeout: 100 }).then(() => {
+        (Date.now() - started).should.be.within(100, 1000)
+        inbound.state.should.equal('closed')
+        done()
+      })
+    })
+  })
+})
+
+describe('Discovery Tests', () => {
+  const nodes = []
+  const discovery = { interval: 50 }
+
+  function createNode (port, seeds = []) {
+    const node = new peerNode.Node(new peerNode.Host('localhost', port), undefined, undefined, { seeds, discovery })
+
+    nodes.push(node)
+
+    return node
+  }
+
+  it('should discover and dial Nodes learned from a seed', (done) => {
+    const seed = new peerNode.Host('localhost', 3100)
+    const first = createNode(3100)
+    const second = createNode(3101, [seed])
+    const third = createNode(3102, [seed])
+
+    third.on('peerConnected', (data) => {
+      if (data.remoteHost.port === 3101) {
+        third.addresses.map((host) => host.port).should.include(3101)
+        done()
+      }
+    })
+
+    first.listen()
+    second.listen()
+
+    // Only join once the second Node has announced itself to the seed
+    first.on('peerConnected', () => third.listen())
+  })
+
+  it('should evict addresses that cannot be reached', (done) => {
+    const node = createNode(3103, [new peerNode.Host('localhost', 3199)])
+
+    node.addresses.length.should.equal(1)
+
+    node.on('nodeListening', () => {
+      setTimeout(() => {
+        node.addresses.length.should.equal(0)
+        done()
+      }, 200)
+    })
+
+    node.listen()
+  })
+
+  afterEach(async () => {
+    while (nodes.length > 0) {
+      const node = nodes.pop()
+
+      await node.stop()
+
+      for (const hash in node._peerList) {
+        await node._peerList[hash].destroy()
+      }
+    }
+  })
+})
+
+describe('Flood Tests', () => {
+  const nodes = []
+
+  // Build Nodes without discovery and link them as listed so the topology is known
+  function createNetwork (ports, links, callback) {
+    let pending = links.length
+
+    for (const port of ports) {
+      const node = new peerNode.Node(new peerNode.Host('localhost', port), undefined, undefined, { discovery: { targetOutbound: 0 } })
+
+      node.received = []
+      node.on('message', (payload) => node.received.push(payload))
+      node.listen()
+      nodes.push(node)
+    }
+
+    for (const [from, to] of links) {
+      const peer = new peerNode.Peer(new peerNode.Host('localhost', ports[to]))
+
+      peer.on('secure', () => {
+        if (--pending === 0) callback(nodes)
+      })
+
+      nodes[from].connectPeer(peer)
+      peer.generateKeypair()
+      peer.connect()
+    }
+  }
+
+  it('should deliver a flooded message once to every Node of a cyclic network', (done) => {
+    createNetwork([3200, 3201, 3202], [[0, 1], [1, 2], [2, 0]], ([first, second, third]) => {
+      first.flood('NEWS', 'Around the ring')
+
+      setTimeout(() => {
+        first.received.length.should.equal(0)
+        second.received.length.should.equal(1)
+        third.received.length.should.equal(1)
+        third.received[0].command.should.equal('NEWS')
+        third.received[0].data.toString().should.equal('Around the ring')
+        done()
+      }, 200)
+    })
+  })
+
+  it('should stop forwarding once the ttl is reached', (done) => {
+    createNetwork([3203, 3204, 3205], [[0, 1], [1, 2]], ([first, second, third]) => {
+      first.flood('NEWS', 'Only one hop', { ttl: 1 })
+
+      setTimeout(() => {
+        second.received.length.should.equal(1)
+        second.received[0].hops.should.equal(1)
+        third.received.length.should.equal(0)
+        done()
+      }, 200)
+    })
+  })
+
+  afterEach(async () => {
+    while (nodes.length > 0) {
+      const node = nodes.pop()
+
+      await node.stop()
+
+      for (const hash in node._peerList) {
+        await node._peerList[hash].destroy()
+      }
+    }
+  })
+})
+
+describe('Routing Tests', () => {
+  const nodes = []
+
+  // Link Nodes over the in-memory transport as listed and wait until their routes have spread
+  function createNetwork (names, links, callback) {
+    let pending = links.length
+
+    for (const name of names) {
+      const node = new peerNode.Node(new peerNode.Host(`memory:${name}`), undefined, undefined, { discovery: { targetOutbound: 0 } })
+
+      node.received = []
+      node.on('message', (payload) => node.received.push(payload))
+      node.listen()
+      nodes.push(node)
+    }
+
+    for (const [from, to] of links) {
+      const peer = new peerNode.Peer(new peerNode.Host(`memory:${names[to]}`))
+
+      peer.on('handshake', () => {
+        if (--pending === 0) setTimeout(() => callback(nodes), 100)
+      })
+
+      nodes[from].connectPeer(peer)
+      peer.generateKeypair()
+      peer.connect()
+    }
+  }
+
+  it('should send to a connected peer by its id', (done) => {
+    createNetwork(['route-a', 'route-b'], [[0, 1]], async ([first, second]) => {
+      (await first.sendTo(second.id, 'NOTE', 'Direct')).should.equal(true)
+
+      setTimeout(() => {
+        second.received.length.should.equal(1)
+        second.received[0].peer.id.should.equal(first.id)
+        second.received[0].data.toString().should.equal('Direct')
+        done()
+      }, 100)
+    })
+  })
+
+  it('should route messages through intermediate Nodes', (done) => {
+    createNetwork(['route-c', 'route-d', 'route-e'], [[0, 1], [1, 2]], async ([first, second, third]) => {
+      first.routes.find((route) => route.id === third.id).should.deep.equal({ id: third.id, via: second.id, hops: 2 })
+
+      await first.sendTo(third.id, 'NOTE', 'Two hops away')
+
+      setTimeout(() => {
+        second.received.length.should.equal(0)
+        third.received.length.should.equal(1)
+        third.received[0].from.should.equal(first.id)
+        third.received[0].hops.should.equal(2)
+        third.received[0].data.toString().should.equal('Two hops away')
+        done()
+      }, 100)
+    })
+  })
+
+  it('should reject destinations without a known route', (done) => {
+    createNetwork(['route-f', 'route-g'], [[0, 1]], ([first]) => {
+      first.sendTo('f'.repeat(64), 'NOTE', 'Nowhere').catch((err) => {
+        err.message.should.equal(`No route to ${'f'.repeat(64)}`)
+        done()
+      })
+    })
+  })
+
+  it('should report destinations an intermediate Node cannot reach', (done) => {
+    createNetwork(['route-h', 'route-i', 'route-j'], [[0, 1], [1, 2]], async ([first, second, third]) => {
+      first.on('unreachable', (data) => {
+        data.destination.should.equal(third.id)
+        data.command.should.equal('NOTE')
+        data.reason.should.equal('Hop limit reached')
+        data.reportedBy.should.equal(second.id)
+        third.received.length.should.equal(0)
+        done()
+      })
+
+      await first.sendTo(third.id, 'NOTE', 'Too far', { ttl: 1 })
+    })
+  })
+
+  it('should drop routed messages claiming to come from another Node', (done) => {
+    createNetwork(['route-n', 'route-o', 'route-p'], [[0, 1], [1, 2]], ([first, second, third]) => {
+      // The Node in the middle signs with its own identity while naming the first as the source
+      const forged = second._routeEnvelope(0, 16, first.id, third.id, 'NOTE', Buffer.from('Trust me'))
+
+      third.on('invalid', (data) => {
+        data.reason.should.equal('Invalid route signature')
+        data.from.should.equal(first.id)
+        third.received.length.should.equal(0)
+        done()
+      })
+
+      second._peerList[third.id].send('ROUTE', forged)
+    })
+  })
+
+  it('should withdraw routes once a link goes down', (done) => {
+    createNetwork(['route-k', 'route-l', 'route-m'], [[0, 1], [1, 2]], async ([first, second, third]) => {
+      await second._peerList[third.id].destroy()
+
+      setTimeout(() => {
+        first.routes.map((route) => route.id).should.deep.equal([second.id])
+        done()
+      }, 100)
+    })
+  })
+
+  afterEach(async () => {
+    while (nodes.length > 0) {
+      const node = nodes.pop()
+
+      await node.stop()
+
+      for (const hash in node._peerList) {
+        await node._peerList[hash].destroy()
+      }
+    }
+  })
+})
+
+describe('Publish Subscribe Tests', () => {
+  const nodes = []
+
+  function createNetwork (names, links, callback) {
+    let pending = links.length
+
+    for (const name of names) {
+      const node = new peerNode.Node(new peerNode.Host(`memory:${name}`), undefined, undefined, { discovery: { targetOutbound: 0 } })
+
+      node.received = []
+      node.listen()
+      nodes.push(node)
+    }
+
+    for (const [from, to] of links) {
+      const peer = new peerNode.Peer(new peerNode.Host(`memory:${names[to]}`))
+
+      // Listen after the Node so the peer has been added by the time the network is complete
+      nodes[from].connectPeer(peer)
+      peer.on('handshake', () => {
+        if (--pending === 0) callback(nodes)
+      })
+
+      peer.generateKeypair()
+      peer.connect()
+    }
+  }
+
+  // Subscriptions spread to the whole network within a few milliseconds
+  function settle (callback) {
+    setTimeout(callback, 100)
+  }
+
+  it('should deliver published messages to subscribers across the network', (done) => {
+    createNetwork(['pubsub-a', 'pubsub-b', 'pubsub-c'], [[0, 1], [1, 2]], ([first, second, third]) => {
+      third.subscribe('blocks.new', (message) => {
+        message.topic.should.equal('blocks.new')
+        message.data.toString().should.equal('Block 1')
+        message.from.should.equal(first.id)
+        message.hops.should.equal(2)
+        done()
+      })
+
+      settle(() => first.publish('blocks.new', 'Block 1'))
+    })
+  })
+
+  it('should only forward messages along paths leading to subscribers', (done) => {
+    createNetwork(['pubsub-d', 'pubsub-e', 'pubsub-f', 'pubsub-g'], [[0, 1], [2, 1], [3, 1]], ([first, hub, subscriber, bystander]) => {
+      let forwarded = 0
+
+      Object.values(bystander._peerList)[0].on('message', (message) => {
+        if (message.command === 'PUBLISH') forwarded++
+      })
+
+      subscriber.subscribe('blocks.new', () => {
+        setTimeout(() => {
+          forwarded.should.equal(0)
+          done()
+        }, 50)
+      })
+
+      settle(() => first.publish('blocks.new', 'Block 1'))
+    })
+  })
+
+  it('should match wildcard subscriptions', (done) => {
+    createNetwork(['pubsub-h', 'pubsub-i'], [[0, 1]], ([first, second]) => {
+      second.subscribe('blocks.*', (message) => second.received.push(`* ${message.topic}`))
+      second.subscribe('blocks.#', (message) => second.received.push(`# ${message.topic}`))
+
+      settle(() => {
+        first.publish('blocks.new', 'Block')
+        first.publish('blocks.new.header', 'Header')
+        first.publish('transactions.new', 'Transaction')
+
+        setTimeout(() => {
+          second.received.should.deep.equal(['* blocks.new', '# blocks.new', '# blocks.new.header'])
+          done()
+        }, 100)
+      })
+    })
+  })
+
+  it('should withdraw the interest of unsubscribed topics', (done) => {
+    createNetwork(['pubsub-j', 'pubsub-k', 'pubsub-l'], [[0, 1], [1, 2]], ([first, second, third]) => {
+      const handler = () => done(new Error('Delivered after unsubscribing'))
+
+      third.subscribe('blocks.new', handler)
+
+      settle(() => {
+        first._interests().has('blocks.new').should.equal(true)
+        third.unsubscribe('blocks.new', handler)
+
+        settle(() => {
+          first._interests().size.should.equal(0)
+          first.publish('blocks.new', 'Block 1')
+          setTimeout(done, 50)
+        })
+      })
+    })
+  })
+
+  it('should forget the subscriptions of peers that disconnect', (done) => {
+    createNetwork(['pubsub-m', 'pubsub-n', 'pubsub-o'], [[0, 1], [1, 2]], ([first, second, third]) => {
+      third.subscribe('blocks.new', () => {})
+
+      settle(async () => {
+        second._interests().get('blocks.new').hops.should.equal(1)
+        await second._peerList[third.id].destroy()
+
+        settle(() => {
+          second._interests().size.should.equal(0)
+          first._interests().size.should.equal(0)
+          done()
+        })
+      })
+    })
+  })
+
+  afterEach(async () => {
+    while (nodes.length > 0) {
+      const node = nodes.pop()
+
+      await node.stop()
+
+      for (const hash in node._peerList) {
+        await node._peerList[hash].destroy()
+      }
+    }
+  })
+})
+
+describe('DHT Tests', () => {
+  const nodes = []
+
+  // Nodes join through the ones started before them, so most of them only learn about each other through the DHT
+  async function createNetwork (count, dht) {
+    for (let i = 0; i < count; i++) {
+      const node = new peerNode.Node(new peerNode.Host('localhost', 3400 + i), undefined, undefined, {
+        discovery: { targetOutbound: 0 },
+        limits: { maxPerAddress: 100 },
+        keepalive: false,
+        dht: Object.assign({ k: 8, replication: 3 }, dht)
+      })
+
+      await new Promise((resolve) => {
+        node.on('nodeListening', resolve)
+        node.listen()
+      })
+
+      if (i > 0) {
+        const peer = new peerNode.Peer(new peerNode.Host('localhost', 3400 + Math.floor((i - 1) / 2)))
+
+        await new Promise((resolve) => {
+          node.connectPeer(peer)
+          peer.on('handshake', resolve)
+          peer.generateKeypair()
+          peer.connect()
+        })
+      }
+
+      nodes.push(node)
+    }
+
+    for (const node of nodes) {
+      await node.dht.bootstrap()
+    }
+
+    return nodes
+  }
+
+  it('should find records stored by another Node', async function () {
+    // Two dozen Nodes take a while to join
+    this.timeout(20000)
+
+    const network = await createNetwork(24)
+
+    for (const node of network) {
+      node.dht.contacts.length.should.be.above(1)
+    }
+
+    ;(await network[3].dht.put('config/color', 'blue')).should.equal(3)
+    ;(await network[20].dht.get('config/color')).toString().should.equal('blue')
+    ;(await network[11].dht.get('config/color')).toString().should.equal('blue')
+  })
+
+  it('should not find records nobody stored', async () => {
+    const network = await createNetwork(8)
+
+    ;(await network[5].dht.get('missing') === null).should.equal(true)
+  })
+
+  it('should let records expire', async () => {
+    const network = await createNetwork(8, { expiry: 200 })
+
+    await network[1].dht.put('short/lived', 'gone soon')
+    ;(await network[6].dht.get('short/lived')).toString().should.equal('gone soon')
+
+    await new Promise((resolve) => setTimeout(resolve, 300))
+
+    ;(await network[6].dht.get('short/lived') === null).should.equal(true)
+  })
+
+  it('should keep republished records alive', async () => {
+    const network = await createNetwork(8, { expiry: 200, republishInterval: 100 })
+
+    await network[1].dht.put('long/lived', 'still here')
+    await new Promise((resolve) => setTimeout(resolve, 400))
+
+    ;(await network[6].dht.get('long/lived')).toString().should.equal('still here')
+  })
+
+  it('should only dial shared transports learned from other Nodes', async () => {
+    const dht = new peerNode.Node(new peerNode.Host('memory:dht-lookup')).dht
+    const asked = []
+
+    dht._request = async (contact) => {
+      asked.push(contact.uri)
+
+      return {
+        contacts: [
+          { id: 'b'.repeat(64), uri: 'unix:/var/run/admin.sock' },
+          { id: 'c'.repeat(64), uri: 'memory:admin' }
+        ]
+      }
+    }
+    dht._addContact('a'.repeat(64), 'tcp://192.0.2.1:3400')
+
+    await dht._lookup('e'.repeat(64))
+
+    asked.should.deep.equal(['tcp://192.0.2.1:3400'])
+    dht.contacts.map((contact) => contact.id).should.deep.equal(['a'.repeat(64)])
+  })
+
+  it('should cap the records stored for other Nodes', () => {
+    const dht = new peerNode.Node(new peerNode.Host('memory:dht-store'), undefined, undefined, {
+      dht: { maxRecords: 3, maxRecordsPerPeer: 2 }
+    }).dht
+    const store = (owner, key) => dht._handleStore(JSON.stringify({ key: key.repeat(64), value: 'dmFsdWU=' }), { id: owner.repeat(64) })
+
+    store('a', '1')
+    store('a', '2')
+    // Storing the same key again does not count twice
+    store('a', '2')
+    ;(() => store('a', '3')).should.throw(/Record limit of 2/)
+
+    store('b', '3')
+    ;(() => store('b', '4')).should.throw(/Record limit of 3/)
+  })
+
+  afterEach(async () => {
+    while (nodes.length > 0) {
+      const node = nodes.pop()
+
+      await node.stop()
+
+      for (const hash in node._peerList) {
+        await node._peerList[hash].destroy()
+      }
+    }
+  })
+})
+
+describe('Identity Tests', () => {
+  let node
+  const testHost = new peerNode.Host('localhost', 3000)
+
+  beforeEach(() => {
+    node = new peerNode.Node(testHost)
+
+    node.listen()
+  })
+
+  it('should keep the same id after saving and loading an identity', async () => {
+    const file = path.join(os.tmpdir(), `peer-node-identity-${process.pid}.pem`)
+    const identity = new peerNode.Identity()
+
+    await identity.save(file)
+
+    const loaded = await peerNode.Identity.load(file)
+
+    fs.unlinkSync(file)
+    loaded.id.should.equal(identity.id)
+    loaded.publicKey.should.equal(identity.publicKey)
+  })
+
+  it('should key connected peers by the id of their identity', (done) => {
+    const identity = new peerNode.Identity()
+    const peer = new peerNode.Peer(testHost, undefined, undefined, undefined, { identity })
+    let pending = 2
+
+    // Both sides have to prove themselves before we are done
+    const proven = async () => {
+      if (--pending === 0) {
+        await peer.disconnect()
+        done()
+      }
+    }
+
+    peer.generateKeypair()
+
+    peer.on('handshake', (data) => {
+      data.id.should.equal(node.id)
+      peer.id.should.equal(node.id)
+      proven()
+    })
+
+    node.on('peerConnected', (data) => {
+      data.peerId.should.equal(identity.id)
+      node._peerList.should.have.property(identity.id)
+      proven()
+    })
+
+    peer.connect()
+  })
+
+  it('should collapse a second connection from the same identity', (done) => {
+    const identity = new peerNode.Identity()
+    const first = new peerNode.Peer(testHost, undefined, undefined, undefined, { identity, reconnect: false })
+    const second = new peerNode.Peer(testHost, undefined, undefined, undefined, { identity, reconnect: false })
+
+    first.on('handshake', () => second.connect())
+
+    second.on('end', async () => {
+      Object.keys(node._peerList).should.deep.equal([identity.id])
+      node._peerList[identity.id]._host.port.should.equal(first._socket.stream.localPort)
+      await first.disconnect()
+      done()
+    })
+
+    first.connect()
+  })
+
+  afterEach(async () => {
+    await node.stop()
+  })
+})
+
+describe('Stream Tests', () => {
+  let node
+  const testHost = new peerNode.Host('localhost', 3000)
+
+  // Produce count chunks of size random bytes, keeping a copy to compare with
+  function createSource (count, size) {
+    const chunks = []
+
+    for (let i = 0; i < count; i++) {
+      chunks.push(crypto.randomBytes(size))
+    }
+
+    return { chunks, readable: Readable.from(chunks) }
+  }
+
+  beforeEach(() => {
+    node = new peerNode.Node(testHost)
+
+    node.listen()
+  })
+
+  it('should stream data larger than a single chunk to the test Node', (done) => {
+    const peer = new peerNode.Peer(testHost)
+    const source = createSource(40, 50000)
+
+    peer.generateKeypair()
+
+    node.on('stream', (data) => {
+      const received = []
+
+      data.command.should.equal('FILE')
+      data.stream.on('data', (chunk) => received.push(chunk))
+      data.stream.on('end', async () => {
+        Buffer.concat(received).equals(Buffer.concat(source.chunks)).should.equal(true)
+        await peer.disconnect()
+        done()
+      })
+    })
+
+    peer.on('connect', async () => {
+      (await peer.sendStream('FILE', source.readable)).should.equal(true)
+    })
+
+    peer.connect()
+  })
+
+  it('should only send as many chunks as the reader has room for', (done) => {
+    const peer = new peerNode.Peer(testHost)
+    const source = createSource(100, 1024)
+
+    node.on('stream', (data) => {
+      // Leave the stream unread for a while, the sender has to stop at its window
+      setTimeout(() => {
+        data.stream.readableLength.should.equal(16 * 1024)
+        data.stream.resume()
+        data.stream.on('end', async () => {
+          await peer.disconnect()
+          done()
+        })
+      }, 200)
+    })
+
+    peer.on('connect', () => peer.sendStream('FILE', source.readable, { chunkSize: 1024 }))
+
+    peer.connect()
+  })
+
+  it('should cancel the transfer when the receiver destroys the stream', (done) => {
+    const peer = new peerNode.Peer(testHost)
+    const source = createSource(100, 1024)
+
+    node.on('stream', (data) => {
+      data.stream.destroy()
+    })
+
+    peer.on('connect', async () => {
+      try {
+        await peer.sendStream('FILE', source.readable, { chunkSize: 1024 })
+      } catch (err) {
+        err.message.should.include('Stream cancelled by remote')
+        source.readable.destroyed.should.equal(true)
+        await peer.disconnect()
+        done()
+      }
+    })
+
+    peer.connect()
+  })
+
+  it('should cancel a stream sending chunks beyond the granted credit', (done) => {
+    const peer = new peerNode.Peer(testHost)
+    const open = Buffer.alloc(16)
+    let cancelled = false
+
+    open.write('FILE', 4)
+
+    peer.on('connect', async () => {
+      const processStream = peer._processStream.bind(peer)
+
+      peer._processStream = (command, payload) => {
+        cancelled = cancelled || command === 'STREAMCANCEL'
+        processStream(command, payload)
+      }
+
+      await peer.send('STREAM', open)
+
+      // Ignore the window and keep sending to a reader that is not reading
+      for (let i = 0; i < 40; i++) {
+        const chunk = Buffer.alloc(8 + 4096)
+        chunk.writeUInt32LE(i, 4)
+
+        await peer.send('STREAMDATA', chunk)
+      }
+    })
+
+    node.on('stream', (data) => {
+      data.stream.on('error', (err) => {
+        err.message.should.equal('Stream chunk beyond the granted credit')
+
+        setTimeout(async () => {
+          cancelled.should.equal(true)
+          await peer.disconnect()
+          done()
+        }, 100)
+      })
+    })
+
+    peer.connect()
+  })
+
+  it('should not replace an open stream with one reusing its id', (done) => {
+    const peer = new peerNode.Peer(testHost)
+    const open = Buffer.alloc(16)
+    let opened = 0
+
+    open.write('FILE', 4)
+
+    node.on('stream', (data) => {
+      opened++
+
+      data.stream.on('error', async (err) => {
+        err.message.should.equal('Stream id reused by remote')
+        opened.should.equal(1)
+        await peer.disconnect()
+        done()
+      })
+    })
+
+    peer.on('connect', async () => {
+      await peer.send('STREAM', open)
+      await peer.send('STREAM', open)
+    })
+
+    peer.connect()
+  })
+
+  it('should abort streams in both directions when the connection drops', (done) => {
+    const peer = new peerNode.Peer(testHost, undefined, undefined, undefined, { reconnect: { initialDelay: 50, queue: true } })
+    let inbound = null
+    let pending = 2
+
+    async function finished () {
+      if (--pending === 0) {
+        await peer.disconnect()
+        done()
+      }
+    }
+
+    peer.generateKeypair()
+
+    node.on('peerConnected', (data) => {
+      if (inbound !== null) return
+
+      inbound = data.peer
+      inbound.sendStream('FILE', createSource(100, 1024).readable, { chunkSize: 1024 }).catch(() => {})
+    })
+
+    node.on('stream', (data) => data.stream.on('error', () => {}))
+
+    // Neither side reads, so both transfers are still going when the Node drops the connection
+    peer.on('stream', (data) => {
+      data.stream.on('error', (err) => {
+        err.message.should.equal('Peer connection lost')
+        finished()
+      })
+
+      inbound.destroy()
+    })
+
+    peer.on('handshake', async () => {
+      try {
+        await peer.sendStream('FILE', createSource(100, 1024).readable, { chunkSize: 1024 })
+      } catch (err) {
+        err.message.should.equal('Peer connection lost')
+        finished()
+      }
+    })
+
+    peer.connect()
+  })
+
+  it('should deliver user commands starting with STREAM as messages', (done) => {
+    const peer = new peerNode.Peer(testHost)
+
+    node.on('message', async (payload) => {
+      payload.command.should.equal('STREAMLOG')
+      payload.data.toString().should.equal('log line')
+      await peer.disconnect()
+      done()
+    })
+
+    peer.on('connect', () => peer.send('STREAMLOG', 'log line'))
+
+    peer.connect()
+  })
+
+  afterEach(async () => {
+    await node.stop()
+  })
+})
+
+describe('Handshake Tests', () => {
+  let node
+  const testHost = new peerNode.Host('localhost', 3000)
+
+  beforeEach(() => {
+    node = new peerNode.Node(testHost)
+
+    node.listen()
+  })
+
+  it('should negotiate version, user agent and shared capabilities', (done) => {
+    const peer = new peerNode.Peer(testHost, undefined, undefined, undefined, { capabilities: ['encryption', 'requests', 'telepathy'] })
+
+    peer.generateKeypair()
+
+    peer.on('handshake', async (data) => {
+      data.version.should.equal(2)
+      data.userAgent.should.match(/^peer-node\//)
+      data.capabilities.should.deep.equal(['encryption', 'requests'])
+      peer.supports('streaming').should.equal(false)
+      peer.remoteListenPort.should.equal(3000)
+      await peer.disconnect()
+      done()
+    })
+
+    peer.connect()
+  })
+
+  it('should reject a peer with an incompatible protocol version', (done) => {
+    const peer = new peerNode.Peer(testHost, undefined, undefined, undefined, { reconnect: false })
+    const send = peer.send.bind(peer)
+
+    // Pretend to be a future version that dropped support for ours
+    peer.send = (command, data) => {
+      if (command === 'HELLO') {
+        data = JSON.stringify(Object.assign(JSON.parse(data), { version: 99, minVersion: 99 }))
+      }
+
+      return send(command, data)
+    }
+
+    node.on('error', () => {})
+
+    peer.on('error', (data) => {
+      data.err.should.equal('Rejected by remote: Incompatible protocol version 99, supported 2 - 2')
+    })
+
+    peer.on('close', () => {
+      node._peerList.should.deep.equal({})
+      done()
+    })
+
+    peer.on('message', () => done(new Error('Rejected peer received a message')))
+
+    peer.connect()
+  })
+
+  it('should disconnect a remote repeating the handshake to claim another identity', (done) => {
+    const peer = new peerNode.Peer(testHost, undefined, undefined, undefined, { reconnect: false })
+    const impostor = new peerNode.Identity()
+
+    peer.generateKeypair()
+    peer.on('error', () => {})
+
+    node.on('peerConnected', (data) => {
+      const id = data.peer.id
+
+      node.on('protocolError', (error) => {
+        error.reason.should.equal('Received HELLO after the handshake completed')
+        data.peer.id.should.equal(id)
+      })
+
+      data.peer.on('close', () => {
+        node._peerList.should.deep.equal({})
+        done()
+      })
+
+      peer.send('HELLO', JSON.stringify({ version: 2, minVersion: 2, key: impostor.publicKey, nonce: '00', capabilities: [] }))
+    })
+
+    peer.connect()
+  })
+
+  it('should not accept an identity proof outside the secure session', (done) => {
+    const peer = new peerNode.Peer(testHost)
+    const remote = new peerNode.Identity()
+
+    peer.generateKeypair()
+    peer._nonce = crypto.randomBytes(32)
+    peer._remoteNonce = crypto.randomBytes(32)
+    peer._pendingHello = {
+      id: remote.id,
+      key: remote.publicKey,
+      hello: { version: 2, port: null, userAgent: 'relay', capabilities: [], compression: null }
+    }
+
+    peer.on('handshake', () => done(new Error('Accepted a proof without a session')))
+
+    peer.on('error', (data) => {
+      data.err.should.equal('Handshake without a secure session')
+      done()
+    })
+
+    // A proof that is valid on its own but relayed from a connection that never negotiated our session
+    peer._processHelloAck(remote.sign(Buffer.concat([Buffer.from('peer-node identity'), peer._nonce, peer._remoteNonce])))
+  })
+
+  it('should reject a remote without the encryption capability', (done) => {
+    const peer = new peerNode.Peer(testHost, undefined, undefined, undefined, { capabilities: ['requests'], reconnect: false })
+
+    peer.generateKeypair()
+
+    node.on('error', () => {})
+
+    peer.on('error', (data) => {
+      data.err.should.equal('Rejected by remote: Remote does not support encryption')
+    })
+
+    peer.on('handshake', () => done(new Error('Completed the handshake without encryption')))
+
+    peer.on('close', () => {
+      node._peerList.should.deep.equal({})
+      done()
+    })
+
+    peer.connect()
+  })
+
+  it('should refuse requests to a remote without the requests capability', (done) => {
+    const peer = new peerNode.Peer(testHost, undefined, undefined, undefined, { capabilities: ['encryption', 'streaming'] })
+
+    peer.on('connect', async () => {
+      try {
+        await peer.request('ECHO', 'data')
+      } catch (err) {
+        err.message.should.equal('Remote does not support requests')
+        await peer.disconnect()
+        done()
+      }
+    })
+
+    peer.connect()
+  })
+
+  it('should refuse to stream to a remote without the streaming capability', (done) => {
+    const peer = new peerNode.Peer(testHost, undefined, undefined, undefined, { capabilities: ['encryption', 'requests'] })
+
+    peer.on('connect', async () => {
+      try {
+        await peer.sendStream('FILE', Readable.from([Buffer.from('data')]))
+      } catch (err) {
+        err.message.should.equal('Remote does not support streaming')
+        await peer.disconnect()
+        done()
+      }
+    })
+
+    peer.connect()
+  })
+
+  afterEach(async () => {
+    await node.stop()
+  })
+})
+
+describe('Network Key Tests', () => {
+  let node
+  const testHost = new peerNode.Host('localhost', 3000)
+
+  beforeEach(() => {
+    node = new peerNode.Node(testHost, undefined, undefined, { networkKey: 'staging' })
+
+    node.listen()
+  })
+
+  it('should accept a peer knowing the network key', (done) => {
+    const peer = new peerNode.Peer(testHost, undefined, undefined, undefined, { networkKey: 'staging' })
+
+    peer.generateKeypair()
+
+    node.on('message', async (data) => {
+      data.command.should.equal('TEST')
+      await peer.disconnect()
+      done()
+    })
+
+    peer.on('handshake', () => peer.send('TEST', 'hello'))
+
+    peer.connect()
+  })
+
+  it('should reject a peer with another network key', (done) => {
+    const peer = new peerNode.Peer(testHost, undefined, undefined, undefined, { networkKey: 'production', reconnect: false })
+
+    peer.generateKeypair()
+
+    node.on('error', () => {})
+    node.on('message', () => done(new Error('Message crossed networks')))
+
+    peer.on('error', (data) => {
+      data.err.should.be.oneOf(['Network key mismatch', 'Rejected by remote: Network key mismatch'])
+    })
+
+    peer.on('handshake', () => done(new Error('Handshake completed across networks')))
+
+    peer.on('close', () => {
+      node._peerList.should.deep.equal({})
+      done()
+    })
+
+    peer.connect()
+  })
+
+  afterEach(async () => {
+    await node.stop()
+  })
+})
+
+describe('Filter Tests', () => {
+  let node
+  const testHost = new peerNode.Host('localhost', 3000)
+
+  function startNode (options) {
+    node = new peerNode.Node(testHost, undefined, undefined, options)
+    node.listen()
+  }
+
+  it('should refuse addresses in the deny list', (done) => {
+    startNode({ filter: { deny: ['127.0.0.0/8', '::1'] } })
+
+    const peer = new peerNode.Peer(testHost, undefined, undefined, undefined, { reconnect: false })
+
+    node.on('rejected', (data) => {
+      (data.peer === null).should.equal(true)
+      data.remoteHost.address.should.equal('127.0.0.1')
+      data.reason.should.equal('Address denied')
+    })
+
+    peer.on('handshake', () => done(new Error('Denied peer completed the handshake')))
+    peer.on('close', () => done())
+
+    peer.connect()
+  })
+
+  it('should refuse addresses outside the allow list', (done) => {
+    startNode({ filter: { allow: ['10.0.0.0/8', 'fd00::/8'] } })
+
+    const peer = new peerNode.Peer(testHost, undefined, undefined, undefined, { reconnect: false })
+
+    node.on('rejected', (data) => data.reason.should.equal('Address not allowed'))
+
+    peer.on('close', () => done())
+
+    peer.connect()
+  })
+
+  it('should only accept allowed identities', (done) => {
+    const allowed = new peerNode.Identity()
+
+    startNode({ filter: { identities: [allowed.publicKey] } })
+
+    const stranger = new peerNode.Peer(testHost, undefined, undefined, undefined, { reconnect: false })
+
+    node.on('rejected', (data) => {
+      data.peer.id.should.equal(stranger.identity.id)
+      data.reason.should.equal('Identity not allowed')
+
+      const friend = new peerNode.Peer(testHost, undefined, undefined, undefined, { identity: allowed })
+
+      node.on('peerConnected', async (data) => {
+        data.peerId.should.equal(allowed.id)
+        await friend.disconnect()
+        done()
+      })
+
+      friend.connect()
+    })
+
+    stranger.connect()
+  })
+
+  it('should ban and unban peers at runtime', (done) => {
+    startNode()
+
+    const peer = new peerNode.Peer(testHost, undefined, undefined, undefined, { reconnect: false })
+
+    node.on('peerConnected', (data) => node.ban(data.peer, 60000))
+
+    node.on('banned', (data) => {
+      data.address.should.equal('127.0.0.1')
+      data.id.should.equal(peer.identity.id)
+      data.duration.should.equal(60000)
+    })
+
+    peer.on('close', () => {
+      const again = new peerNode.Peer(testHost, undefined, undefined, undefined, { reconnect: false })
+
+      node.on('rejected', (data) => {
+        data.reason.should.equal('Banned')
+        node.unban(new peerNode.Host('127.0.0.1', 0))
+        node._isBanned('127.0.0.1').should.equal(false)
+
+        // The identity stays banned until it is unbanned as well
+        node._isBanned(peer.identity.id).should.equal(true)
+        done()
+      })
+
+      again.connect()
+    })
+
+    peer.connect()
+  })
+
+  it('should ban peers on local transports by identity only', (done) => {
+    const local = new peerNode.Host('memory:ban-local')
+    const banned = new peerNode.Peer(local, undefined, undefined, undefined, { reconnect: false })
+
+    node = new peerNode.Node(local)
+    node.listen()
+
+    node.on('banned', (data) => {
+      (data.address === null).should.equal(true)
+      data.id.should.equal(banned.identity.id)
+    })
+
+    node.on('peerConnected', (data) => {
+      if (data.peerId === banned.identity.id) {
+        node.ban(data.peer, 60000)
+        return
+      }
+
+      // Everyone else connecting through the same endpoint is still let in
+      Object.keys(node._bans).should.deep.equal([banned.identity.id])
+      done()
+    })
+
+    banned.on('close', () => {
+      new peerNode.Peer(local, undefined, undefined, undefined, { reconnect: false }).connect()
+    })
+
+    banned.connect()
+  })
+
+  afterEach(async () => {
+    await node.stop()
+
+    for (const id in node._peerList) {
+      await node._peerList[id].destroy()
+    }
+  })
+})
+
+describe('Limit Tests', () => {
+  let node
+  const testHost = new peerNode.Host('localhost', 3000)
+
+  function startNode (options) {
+    node = new peerNode.Node(testHost, undefined, undefined, options)
+    node.listen()
+  }
+
+  it('should limit the number of peers from one address', (done) => {
+    startNode({ limits: { maxPerAddress: 1 } })
+
+    const first = new peerNode.Peer(testHost, undefined, undefined, undefined, { reconnect: false })
+    const second = new peerNode.Peer(testHost, undefined, undefined, undefined, { reconnect: false })
+
+    node.on('rejected', (data) => data.reason.should.equal('Too many peers from address'))
+
+    first.on('handshake', () => second.connect())
+
+    second.on('close', async () => {
+      await first.disconnect()
+      done()
+    })
+
+    first.connect()
+  })
+
+  it('should close connections that do not complete the handshake in time', (done) => {
+    startNode({ limits: { maxInbound: 2, handshakeTimeout: 100 } })
+
+    let closed = 0
+
+    node.on('rejected', (data) => data.reason.should.equal('Handshake timed out'))
+
+    // Sockets that never say anything must not keep their slots
+    node.on('nodeListening', () => {
+      for (let i = 0; i < 2; i++) {
+        const socket = net.connect(3000, 'localhost')
+
+        socket.resume()
+        socket.on('close', () => {
+          if (++closed === 2) {
+            const peer = new peerNode.Peer(testHost, undefined, undefined, undefined, { reconnect: false })
+
+            peer.on('handshake', async () => {
+              await peer.disconnect()
+              done()
+            })
+
+            peer.connect()
+          }
+        })
+      }
+    })
+  })
+
+  it('should throttle a peer sending too many messages', (done) => {
+    startNode({ rateLimit: { messages: { rate: 50, burst: 5 } } })
+
+    const peer = new peerNode.Peer(testHost)
+    let received = 0
+    let throttled = false
+
+    node.on('rateLimit', (data) => {
+      data.limit.should.equal('messages')
+      data.action.should.equal('throttle')
+      throttled = true
+    })
+
+    node.on('message', async () => {
+      if (++received === 10) {
+        throttled.should.equal(true)
+        await peer.disconnect()
+        done()
+      }
+    })
+
+    peer.on('handshake', () => {
+      for (let i = 0; i < 10; i++) {
+        peer.send('TEST', `message ${i}`)
+      }
+    })
+
+    peer.connect()
+  })
+
+  it('should disconnect a peer over its byte limit', (done) => {
+    startNode({ rateLimit: { bytes: { rate: 1024 }, policy: 'disconnect' } })
+
+    const peer = new peerNode.Peer(testHost, undefined, undefined, undefined, { reconnect: false })
+    let limited = false
+
+    node.on('rateLimit', (data) => {
+      data.limit.should.equal('bytes')
+      data.action.should.equal('disconnect')
+      limited = true
+    })
+
+    node.on('message', () => done(new Error('Message over the limit was delivered')))
+
+    peer.on('handshake', () => peer.send('TEST', Buffer.alloc(4096)))
+
+    peer.on('close', () => {
+      limited.should.equal(true)
+      done()
+    })
+
+    peer.connect()
+  })
+
+  afterEach(async () => {
+    await node.stop()
+
+    for (const id in node._peerList) {
+      await node._peerList[id].destroy()
+    }
+  })
+})
+
+describe('TLS Tests', () => {
+  let node
+  let certificates
+  const testHost = new peerNode.Host('localhost', 3000)
+
+  before(function () {
+    const { execFileSync } = require('child_process')
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'peer-node-tls-'))
+    const openssl = (args) => execFileSync('openssl', args, { cwd: dir, stdio: 'ignore' })
+    const read = (file) => fs.readFileSync(path.join(dir, file))
+
+    try {
+      openssl(['req', '-x509', '-newkey', 'ec', '-pkeyopt', 'ec_paramgen_curve:prime256v1', '-nodes', '-keyout', 'ca.key', '-out', 'ca.crt', '-subj', '/CN=test-ca', '-days', '1'])
+      fs.writeFileSync(path.join(dir, 'san.cnf'), 'subjectAltName=IP:127.0.0.1\n')
+
+      for (const name of ['node', 'peer']) {
+        openssl(['req', '-newkey', 'ec', '-pkeyopt', 'ec_paramgen_curve:prime256v1', '-nodes', '-keyout', `${name}.key`, '-out', `${name}.csr`, '-subj', `/CN=${name}`])
+        openssl(['x509', '-req', '-in', `${name}.csr`, '-CA', 'ca.crt', '-CAkey', 'ca.key', '-CAcreateserial', '-out', `${name}.crt`, '-days', '1', '-extfile', 'san.cnf'])
+      }
+    } catch (err) {
+      // Certificates are generated with the openssl command line tool
+      this.skip()
+    }
+
+    certificates = {
+      ca: read('ca.crt'),
+      node: { key: read('node.key'), cert: read('node.crt') },
+      peer: { key: read('peer.key'), cert: read('peer.crt') }
+    }
+
+    fs.rmSync(dir, { recursive: true })
+  })
+
+  beforeEach(() => {
+    node = new peerNode.Node(testHost, undefined, undefined, {
+      tls: Object.assign({ ca: certificates.ca }, certificates.node)
+    })
+
+    node.listen()
+  })
+
+  it('should exchange messages over mutually authenticated TLS', (done) => {
+    const peer = new peerNode.Peer(testHost, undefined, undefined, undefined, {
+      tls: Object.assign({ ca: certificates.ca }, certificates.peer)
+    })
+
+    node.on('message', async (data) => {
+      data.command.should.equal('TEST')
+      data.peer.certificate.subject.CN.should.equal('peer')
+      await peer.disconnect()
+      done()
+    })
+
+    peer.on('handshake', () => {
+      peer.certificate.subject.CN.should.equal('node')
+      peer.send('TEST', 'over tls')
+    })
+
+    peer.connect()
+  })
+
+  it('should reject a peer without a certificate', (done) => {
+    const peer = new peerNode.Peer(testHost, undefined, undefined, undefined, {
+      reconnect: false,
+      tls: { ca: certificates.ca }
+    })
+
+    node.on('rejected', (data) => {
+      (data.peer === null).should.equal(true)
+      data.reason.should.match(/^TLS handshake failed/)
+    })
+
+    peer.on('error', () => {})
+    peer.on('handshake', () => done(new Error('Peer without a certificate completed the handshake')))
+    peer.on('close', () => done())
+
+    peer.connect()
+  })
+
+  afterEach(async () => {
+    await node.stop()
+
+    for (const id in node._peerList) {
+      await node._peerList[id].destroy()
+    }
+  })
+})
+
+describe('Transport Tests', () => {
+  let node
+
+  function exchange (host, done) {
+    node = new peerNode.Node(host)
+    node.handle('ECHO', (data) => data)
+
+    node.on('nodeListening', () => {
+      const peer = new peerNode.Peer(host)
+
+      peer.generateKeypair()
+
+      peer.on('handshake', async () => {
+        const reply = await peer.request('ECHO', 'over ' + host.transport)
+
+        reply.toString().should.equal('over ' + host.transport)
+        peer.secure.should.equal(true)
+        await peer.disconnect()
+        done()
+      })
+
+      peer.connect()
+    })
+
+    node.listen()
+  }
+
+  it('should run over the in-memory transport', (done) => {
+    exchange(new peerNode.Host('memory:transport-test'), done)
+  })
+
+  it('should run over unix domain sockets', (done) => {
+    exchange(new peerNode.Host(`unix:${path.join(os.tmpdir(), `peer-node-${process.pid}.sock`)}`), done)
+  })
+
+  it('should run over WebSockets', (done) => {
+    exchange(new peerNode.Host('ws://127.0.0.1:3300/peer'), done)
+  })
+
+  it('should let a browser peer join over WebSockets', (done) => {
+    node = new peerNode.Node(new peerNode.Host('ws://127.0.0.1:3301/peer'), undefined, undefined, { networkKey: 'staging' })
+    node.handle('ECHO', (data) => data)
+
+    const messages = []
+
+    node.on('message', (data) => messages.push(`${data.command} ${data.data}`))
+
+    node.on('nodeListening', async () => {
+      // Only the globals a browser offers, with the ws module standing in for the WebSocket global
+      const peer = new peerNode.BrowserPeer('ws://127.0.0.1:3301/peer', { networkKey: 'staging', WebSocket: require('ws') })
+
+      peer.on('close', () => {
+        messages.should.deep.equal(['NOTE from a browser'])
+        done()
+      })
+
+      const connected = await peer.connect()
+
+      connected.should.equal(true)
+      peer.id.should.equal(node.id)
+      peer.capabilities.should.deep.equal(['encryption', 'requests'])
+      Object.keys(node._peerList).should.deep.equal([peer.identityId])
+
+      await peer.send('NOTE', 'from a browser')
+
+      const reply = await peer.request('ECHO', 'over a browser')
+
+      new TextDecoder().decode(reply).should.equal('over a browser')
+      node._peerList[peer.identityId].secure.should.equal(true)
+      await peer.goodbye()
+    })
+
+    node.listen()
+  })
+
+  it('should fall back to the next candidate address', (done) => {
+    node = new peerNode.Node(new peerNode.Host('localhost', 3000))
+
+    node.on('nodeListening', () => {
+      const peer = new peerNode.Peer(new peerNode.Host(['nowhere.invalid', '127.0.0.1'], 3000))
+
+      peer.on('handshake', async () => {
+        await peer.disconnect()
+        done()
+      })
+
+      peer.connect()
+    })
+
+    node.listen()
+  })
+
+  it('should fail to connect to a memory endpoint nobody listens on', (done) => {
+    const peer = new peerNode.Peer(new peerNode.Host('memory:nobody'), undefined, undefined, undefined, { reconnect: false })
+
+    peer.on('error', (data) => data.err.message.should.equal('Nothing listening on memory:nobody'))
+    peer.on('close', () => done())
+
+    peer.connect()
+  })
+
+  afterEach(async () => {
+    if (node) {
+      await node.stop()
+
+      for (const id in node._peerList) {
+        await node._peerList[id].destroy()
+      }
+
+      node = null
+    }
+  })
+})
+
+describe('Codec Tests', () => {
+  let node
+
+  function exchange (name, options, setup, callback) {
+    node = new peerNode.Node(new peerNode.Host(`memory:${name}`), undefined, undefined, options)
+    setup(node)
+
+    node.on('nodeListening', () => {
+      const peer = new peerNode.Peer(new peerNode.Host(`memory:${name}`), undefined, undefined, undefined, options)
+
+      setup(peer)
+      peer.generateKeypair()
+      peer.on('handshake', () => callback(peer))
+      peer.connect()
+    })
+
+    node.listen()
+  }
+
+  it('should route messages to command listeners as Buffers by default', (done) => {
+    exchange('codec-raw', {}, () => {}, (peer) => {
+      node.on('command:GREET', async (message) => {
+        Buffer.isBuffer(message.data).should.equal(true)
+        message.data.toString().should.equal('Hello')
+        await peer.disconnect()
+        done()
+      })
+
+      node.on('command:OTHER', () => done(new Error('Routed to the wrong command')))
+
+      peer.send('GREET', 'Hello')
+    })
+  })
+
+  it('should encode and decode a command with its own codec', (done) => {
+    exchange('codec-json', {}, (side) => side.defineCommand('STATUS', { codec: 'json' }), (peer) => {
+      node.on('command:STATUS', async (message) => {
+        message.data.should.deep.equal({ height: 42, tags: ['a', 'b'] })
+        await peer.disconnect()
+        done()
+      })
+
+      peer.send('STATUS', { height: 42, tags: ['a', 'b'] })
+    })
+  })
+
+  it('should use the default codec for every command', (done) => {
+    exchange('codec-msgpack', { codec: 'msgpack' }, () => {}, (peer) => {
+      node.on('message', async (message) => {
+        message.command.should.equal('BLOB')
+        Buffer.from(message.data.bytes).toString().should.equal('binary')
+        message.data.count.should.equal(3)
+        await peer.disconnect()
+        done()
+      })
+
+      peer.send('BLOB', { bytes: Buffer.from('binary'), count: 3 })
+    })
+  })
+
+  it('should drop payloads failing validation before they reach listeners', (done) => {
+    const validate = (value) => Number.isInteger(value.amount) && value.amount > 0
+
+    exchange('codec-validate', {}, (side) => side.defineCommand('PAY', { codec: 'json', validate }), (peer) => {
+      const received = []
+
+      node.on('command:PAY', (message) => received.push(message.data.amount))
+
+      node.on('invalid', async (data) => {
+        data.command.should.equal('PAY')
+        data.reason.should.equal('Invalid PAY payload')
+
+        setTimeout(async () => {
+          received.should.deep.equal([5])
+          await peer.disconnect()
+          done()
+        }, 50)
+      })
+
+      peer.send('PAY', { amount: 5 })
+      peer.send('PAY', { amount: -1 })
+    })
+  })
+
+  it('should report payloads that cannot be decoded', (done) => {
+    exchange('codec-malformed', {}, (side) => side.defineCommand('STATUS', { codec: 'json' }), (peer) => {
+      node.on('invalid', async (data) => {
+        data.reason.should.match(/^Unable to decode STATUS payload/)
+        await peer.disconnect()
+        done()
+      })
+
+      // Defined differently on this side, so the raw text reaches a JSON decoder
+      peer.defineCommand('STATUS', { codec: 'raw' })
+      peer.send('STATUS', 'not json')
+    })
+  })
+
+  afterEach(async () => {
+    if (node) {
+      await node.stop()
+
+      for (const id in node._peerList) {
+        await node._peerList[id].destroy()
+      }
+
+      node = null
+    }
+  })
+})
+
+describe('Compression Tests', () => {
+  let node
+
+  function exchange (name, nodeCompression, peerCompression, callback) {
+    node = new peerNode.Node(new peerNode.Host(`memory:${name}`), undefined, undefined, { compression: nodeCompression })
+
+    node.on('nodeListening', () => {
+      const peer = new peerNode.Peer(new peerNode.Host(`memory:${name}`), undefined, undefined, undefined, { compression: peerCompression })
+
+      peer.generateKeypair()
+      peer.on('handshake', () => callback(peer))
+      peer.connect()
+    })
+
+    node.listen()
+  }
+
+  const state = JSON.stringify(Array.from({ length: 500 }, (value, index) => ({ index, status: 'synchronized' })))
+
+  it('should compress large payloads ahead of encryption', (done) => {
+    exchange('compression-large', true, true, (peer) => {
+      node.on('message', async (message) => {
+        message.data.toString().should.equal(state)
+        peer.compression.should.equal('brotli')
+        peer.secure.should.equal(true)
+
+        const stats = peer.compressionStats
+
+        stats.sent.frames.should.equal(1)
+        stats.sent.bytes.should.equal(state.length)
+        stats.sent.saved.should.equal(state.length - stats.sent.compressedBytes)
+        stats.sent.saved.should.be.above(state.length / 2)
+        message.peer.compressionStats.received.frames.should.equal(1)
+
+        await peer.disconnect()
+        done()
+      })
+
+      peer.send('STATE', state)
+    })
+  })
+
+  it('should send payloads below the threshold uncompressed', (done) => {
+    exchange('compression-small', true, { threshold: 64 }, (peer) => {
+      node.on('message', async (message) => {
+        message.data.toString().should.equal('small')
+        peer.compressionStats.sent.frames.should.equal(0)
+        await peer.disconnect()
+        done()
+      })
+
+      peer.send('STATE', 'small')
+    })
+  })
+
+  it('should settle on an algorithm both sides offer', (done) => {
+    exchange('compression-deflate', true, { algorithms: ['deflate'] }, (peer) => {
+      node.on('message', async (message) => {
+        message.data.toString().should.equal(state)
+        message.peer.compression.should.equal('deflate')
+        message.peer.compressionStats.received.saved.should.be.above(0)
+        await peer.disconnect()
+        done()
+      })
+
+      peer.send('STATE', state)
+    })
+  })
+
+  it('should not compress when the remote does not support it', (done) => {
+    exchange('compression-off', false, true, (peer) => {
+      node.on('message', async (message) => {
+        (peer.compression === null).should.equal(true)
+        message.data.toString().should.equal(state)
+        peer.compressionStats.sent.frames.should.equal(0)
+        await peer.disconnect()
+        done()
+      })
+
+      peer.send('STATE', state)
+    })
+  })
+
+  afterEach(async () => {
+    if (node) {
+      await node.stop()
+
+      for (const id in node._peerList) {
+        await node._peerList[id].destroy()
+      }
+
+      node = null
+    }
+  })
+})
+
+describe('Reliable Delivery Tests', () => {
+  let node
+
+  function connect (name, options, callback) {
+    node = new peerNode.Node(new peerNode.Host(`memory:${name}`), undefined, undefined, { reliable: true })
+
+    node.on('nodeListening', () => {
+      const peer = new peerNode.Peer(new peerNode.Host(`memory:${name}`), undefined, undefined, undefined, Object.assign({
+        reliable: true,
+        reconnect: { initialDelay: 10 }
+      }, options))
+      let connected = false
+
+      // Hand over the Node side of the first connection as well
+      node.on('peerConnected', (data) => {
+        if (!connected) {
+          connected = true
+          callback(peer, data.peer)
+        }
+      })
+
+      peer.generateKeypair()
+      peer.connect()
+    })
+
+    node.listen()
+  }
+
+  it('should resolve sends once the remote acknowledged them', (done) => {
+    const store = new peerNode.MemoryOutboxStore()
+
+    connect('reliable-ack', { reliable: { store } }, async (peer) => {
+      const received = []
+
+      node.on('message', (message) => received.push(message.data.toString()))
+
+      const acknowledged = await Promise.all([peer.send('TEST', 'first'), peer.send('TEST', 'second')])
+
+      acknowledged.should.deep.equal([true, true])
+      received.should.deep.equal(['first', 'second'])
+      store.load(peer.id).messages.should.deep.equal([])
+
+      await peer.disconnect()
+      done()
+    })
+  })
+
+  it('should retransmit unacknowledged messages after reconnecting', (done) => {
+    connect('reliable-retransmit', {}, async (peer, inbound) => {
+      const received = []
+
+      // The message is lost together with the first connection
+      inbound._processReliable = () => inbound.destroy()
+
+      node.on('message', (message) => received.push(message.data.toString()))
+
+      const acknowledged = await peer.send('TEST', 'Sent before the connection dropped')
+
+      acknowledged.should.equal(true)
+      received.should.deep.equal(['Sent before the connection dropped'])
+
+      await peer.disconnect()
+      done()
+    })
+  })
+
+  it('should deliver a message only once when its acknowledgement was lost', (done) => {
+    connect('reliable-duplicate', {}, async (peer, inbound) => {
+      const received = []
+
+      // The message arrives but the connection drops before it is acknowledged
+      inbound._scheduleAck = () => setImmediate(() => inbound.destroy())
+
+      node.on('message', (message) => received.push(message.data.toString()))
+
+      const acknowledged = await peer.send('TEST', 'Delivered once')
+
+      acknowledged.should.equal(true)
+      received.should.deep.equal(['Delivered once'])
+
+      await peer.disconnect()
+      done()
+    })
+  })
+
+  it('should keep unacknowledged messages in a file outbox across restarts', (done) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'peer-node-outbox-'))
+    const identity = new peerNode.Identity()
+
+    connect('reliable-file', {
+      identity: identity,
+      reconnect: false,
+      reliable: { store: new peerNode.FileOutboxStore(directory) }
+    }, async (peer, inbound) => {
+      // The process goes down before the message was acknowledged
+      inbound._processReliable = () => peer.destroy()
+
+      const acknowledged = await peer.send('TEST', 'Survives a restart')
+
+      acknowledged.should.equal(false)
+
+      // Starting again with the same identity and outbox directory picks up where the last process left off
+      const restarted = new peerNode.Peer(new peerNode.Host('memory:reliable-file'), undefined, undefined, undefined, {
+        identity: identity,
+        reliable: { store: new peerNode.FileOutboxStore(directory) }
+      })
+
+      node.on('message', async (message) => {
+        message.data.toString().should.equal('Survives a restart')
+        await restarted.disconnect()
+        fs.rmSync(directory, { recursive: true })
+        done()
+      })
+
+      restarted.generateKeypair()
+      restarted.connect()
+    })
+  })
+
+  afterEach(async () => {
+    await node.stop()
+
+    for (const id in node._peerList) {
+      await node._peerList[id].destroy()
+    }
+  })
+})
+
+describe('Keepalive Tests', () => {
+  let node
+  const testHost = new peerNode.Host('localhost', 3000)
+  const keepalive = { interval: 50, maxMissed: 2 }
+
+  beforeEach(() => {
+    node = new peerNode.Node(testHost, undefined, undefined, { keepalive })
+
+    node.listen()
+  })
+
+  it('should measure the latency to the remote', (done) => {
+    const peer = new peerNode.Peer(testHost, undefined, undefined, undefined, { keepalive })
+
+    peer.generateKeypair()
+
+    peer.on('handshake', () => {
+      (peer.latency === null).should.equal(true)
+
+      setTimeout(async () => {
+        peer.latency.should.be.a('number')
+        peer.latency.should.be.at.least(0)
+        await peer.disconnect()
+        done()
+      }, 200)
+    })
+
+    peer.connect()
+  })
+
+  it('should close a peer that stops answering pings', (done) => {
+    const peer = new peerNode.Peer(testHost, undefined, undefined, undefined, { keepalive: false, reconnect: false })
+    const send = peer.send.bind(peer)
+
+    // Play dead, never answer a ping
+    peer.send = (command, data) => command === 'PONG' ? Promise.resolve(true) : send(command, data)
+
+    node.on('timeout', (data) => {
+      data.peer.id.should.equal(peer.identity.id)
+      node._peerList.should.deep.equal({})
+    })
+
+    peer.on('close', () => done())
+
+    peer.connect()
+  })
+
+  afterEach(async () => {
+    await node.stop()
+  })
+})
+
+describe('Frame Tests', () => {
+  const { encodeFrame, PROTOCOL_VERSION } = require('../src/frame')
+  const header = 0xA27CC1A2
+
+  it('should decode frames split across several chunks', () => {
+    const decoder = new peerNode.FrameDecoder(header, 1024)
+    const frames = []
+    const stream = Buffer.concat([
+      encodeFrame(header, PROTOCOL_VERSION, 0, 'FIRST', Buffer.from('one')),
+      encodeFrame(header, PROTOCOL_VERSION, 0, 'SECOND', Buffer.from('two'))
+    ])
+
+    decoder.on('frame', (frame) => frames.push(frame))
+
+    for (let i = 0; i < stream.length; i++) {
+      decoder.push(stream.slice(i, i + 1))
+    }
+
+    frames.map((frame) => frame.command).should.deep.equal(['FIRST', 'SECOND'])
+    frames.map((frame) => frame.data.toString()).should.deep.equal(['one', 'two'])
+  })
+
+  it('should decode frames from randomly sized chunks', () => {
+    const decoder = new peerNode.FrameDecoder(header, 4096)
+    const sent = []
+    const received = []
+
+    for (let i = 0; i < 200; i++) {
+      sent.push(crypto.randomBytes(Math.floor(Math.random() * 2048)))
+    }
+
+    const stream = Buffer.concat(sent.map((data) => encodeFrame(header, PROTOCOL_VERSION, 0, 'FUZZ', data)))
+
+    decoder.on('frame', (frame) => received.push(frame.data))
+    decoder.on('protocolError', (error) => { throw new Error(error.reason) })
+
+    for (let offset = 0; offset < stream.length;) {
+      const length = 1 + Math.floor(Math.random() * 8192)
+
+      decoder.push(stream.slice(offset, offset + length))
+      offset += length
+    }
+
+    received.should.deep.equal(sent)
+  })
+
+  it('should only hold a buffer while a frame is incomplete', () => {
+    const decoder = new peerNode.FrameDecoder(header, 1048576)
+    const frame = encodeFrame(header, PROTOCOL_VERSION, 0, 'LARGE', Buffer.alloc(500000))
+    let frames = 0
+
+    decoder.on('frame', () => frames++)
+
+    decoder.push(frame.slice(0, 1000))
+    decoder.capacity.should.be.below(65536)
+
+    decoder.push(frame.slice(1000, 300000))
+    decoder.buffered.should.equal(300000)
+    decoder.capacity.should.be.at.most(1048576)
+
+    decoder.push(frame.slice(300000))
+    frames.should.equal(1)
+    decoder.buffered.should.equal(0)
+    decoder.capacity.should.equal(0)
+  })
+
+  it('should skip garbage and resynchronize on the next frame', () => {
+    const decoder = new peerNode.FrameDecoder(header, 1024)
+    const frames = []
+    const errors = []
+
+    decoder.on('frame', (frame) => frames.push(frame))
+    decoder.on('protocolError', (error) => errors.push(error.reason))
+
+    decoder.push(Buffer.concat([Buffer.alloc(40), encodeFrame(header, PROTOCOL_VERSION, 0, 'TEST', Buffer.from('data'))]))
+
+    frames.length.should.equal(1)
+    frames[0].data.toString().should.equal('data')
+    errors.should.deep.equal(['Skipped 40 bytes of unframed data'])
+  })
+
+  it('should reject frames larger than the maximum frame size', () => {
+    const decoder = new peerNode.FrameDecoder(header, 1024, { maxFrameSize: 16 })
+    const frames = []
+    const errors = []
+
+    decoder.on('frame', (frame) => frames.push(frame))
+    decoder.on('protocolError', (error) => errors.push(error.reason))
+
+    decoder.push(encodeFrame(header, PROTOCOL_VERSION, 0, 'BIG', Buffer.alloc(17)))
+    decoder.push(encodeFrame(header, PROTOCOL_VERSION, 0, 'SMALL', Buffer.alloc(16)))
+
+    frames.map((frame) => frame.command).should.deep.equal(['SMALL'])
+    errors[0].should.equal('Frame of 17 bytes exceeds the maximum of 16')
+  })
+
+  it('should drop frames with a checksum mismatch', () => {
+    const decoder = new peerNode.FrameDecoder(header, 1024)
+    const frames = []
+    const errors = []
+    const corrupt = encodeFrame(header, PROTOCOL_VERSION, 0, 'CORRUPT', Buffer.from('data'))
+
+    corrupt[corrupt.length - 1] ^= 0xFF
+
+    decoder.on('frame', (frame) => frames.push(frame))
+    decoder.on('protocolError', (error) => errors.push(error.reason))
+
+    decoder.push(Buffer.concat([corrupt, encodeFrame(header, PROTOCOL_VERSION, 0, 'VALID', Buffer.from('data'))]))
+
+    frames.map((frame) => frame.command).should.deep.equal(['VALID'])
+    errors[0].should.equal('Checksum mismatch on CORRUPT frame')
+  })
+
+  it('should check frames with a configurable checksum', () => {
+    const frames = []
+    const errors = []
+    const long = new peerNode.FrameDecoder(header, 1024, { checksum: { algorithm: 'sha256', length: 16 } })
+    const crc = new peerNode.FrameDecoder(header, 1024, { checksum: { algorithm: 'crc32c' } })
+
+    long.on('frame', (frame) => frames.push(frame))
+    crc.on('frame', (frame) => frames.push(frame))
+    crc.on('protocolError', (error) => errors.push(error.reason))
+
+    long.push(encodeFrame(header, PROTOCOL_VERSION, 0, 'LONG', Buffer.from('data'), { checksum: { length: 16 } }))
+    crc.push(encodeFrame(header, PROTOCOL_VERSION, 0, 'CRC', Buffer.from('data'), { checksum: { algorithm: 'crc32c' } }))
+
+    // A frame checked with a different algorithm does not pass
+    crc.push(encodeFrame(header, PROTOCOL_VERSION, 0, 'SHA', Buffer.from('data')))
+
+    frames.map((frame) => frame.command).should.deep.equal(['LONG', 'CRC'])
+    errors[0].should.equal('Checksum mismatch on SHA frame')
+  })
+
+  it('should carry the signature of signed frames', () => {
+    const decoder = new peerNode.FrameDecoder(header, 1024)
+    const identity = new peerNode.Identity()
+    const frames = []
+
+    decoder.on('frame', (frame) => frames.push(frame))
+    decoder.push(encodeFrame(header, PROTOCOL_VERSION, 0, 'SIGNED', Buffer.from('data'), { identity }))
+
+    frames[0].data.toString().should.equal('data')
+    peerNode.Identity.verify(identity.publicKey, frames[0].signed, frames[0].signature).should.equal(true)
+  })
+
+  describe('Frame signatures', () => {
+    let node
+    const testHost = new peerNode.Host('localhost', 3000)
+
+    beforeEach(() => {
+      node = new peerNode.Node(testHost, undefined, undefined, { signatures: true })
+
+      node.listen()
+    })
+
+    it('should accept messages signed by the peer', (done) => {
+      const peer = new peerNode.Peer(testHost, undefined, undefined, undefined, { signatures: true })
+
+      node.on('unverified', (data) => done(new Error(data.reason)))
+
+      node.on('message', async (data) => {
+        data.command.should.equal('TEST')
+        await peer.disconnect()
+        done()
+      })
+
+      peer.on('handshake', () => peer.send('TEST', 'signed'))
+
+      peer.connect()
+    })
+
+    it('should report unsigned messages', (done) => {
+      const peer = new peerNode.Peer(testHost, undefined, undefined, undefined, { reconnect: false })
+
+      node.on('message', () => done(new Error('Unsigned message was accepted')))
+
+      node.on('unverified', async (data) => {
+        data.command.should.equal('TEST')
+        data.reason.should.equal('Missing signature')
+        await peer.disconnect()
+        done()
+      })
+
+      peer.on('handshake', () => peer.send('TEST', 'unsigned'))
+
+      peer.connect()
+    })
+
+    afterEach(async () => {
+      await node.stop()
+
+      for (const id in node._peerList) {
+        await node._peerList[id].destroy()
+      }
+    })
+  })
+
+  describe('Protocol error policy', () => {
+    let node
+    const testHost = new peerNode.Host('localhost', 3000)
+
+    beforeEach(() => {
+      node = new peerNode.Node(testHost, undefined, undefined, {
+        protocolErrors: { policy: 'ban', threshold: 1, banDuration: 60000 }
+      })
+
+      node.listen()
+    })
+
+    it('should ban a peer sending corrupt frames', (done) => {
+      const net = require('net')
+      const socket = net.createConnection(testHost.port, testHost.address)
+
+      node.on('banned', (data) => {
+        data.duration.should.equal(60000)
+        data.reason.should.equal('Checksum mismatch on JUNK frame')
+      })
+
+      socket.on('connect', () => {
+        const junk = encodeFrame(header, PROTOCOL_VERSION, 0, 'JUNK', Buffer.from('data'))
+
+        junk[junk.length - 1] ^= 0xFF
+        socket.write(junk)
+      })
+
+      // Ignore the handshake of the Node, the socket has to flow to notice it being closed
+      socket.resume()
+
+      socket.on('close', () => {
+        // The address stays banned, a new connection is refused straight away
+        const retry = net.createConnection(testHost.port, testHost.address)
+
+        retry.on('data', () => done(new Error('Banned address was answered')))
+        retry.on('close', () => done())
+      })
+    })
+
+    afterEach(async () => {
+      await node.stop()
+
+      for (const id in node._peerList) {
+        await node._peerList[id].destroy()
+      }
+    })
+  })
+})